@@ -0,0 +1,406 @@
+const yaml = require('js-yaml');
+const fs = require('fs');
+const path = require('path');
+
+const { canAddMetricToModel, convertMetricToSigma, convertMeasureExpr, reportUnsupportedFeature, extractDimensionReferences, addHelperElements } = require('../metrics');
+const { sanitizePath } = require('./path_utils');
+const { appendToOutputReport } = require('./output_reports');
+const { buildDataModelElement } = require('./data_model_elements');
+const { addTimeRelationships } = require('../time');
+
+// name of the Sigma data model holding metrics that span several semantic models
+const METRICS_HUB_NAME = 'metrics_hub';
+
+/**
+ * find metrics that cannot be added to any of the semantic models owning their measures
+ * @param {Object} metricRegistry - registry built by buildMetricRegistry
+ * @returns {Array<Object>} cross-model metrics
+ */
+function findCrossModelMetrics(metricRegistry) {
+  return metricRegistry.metrics.filter(metric => {
+    const owners = metricRegistry.metricOwners.get(metric.name) || [];
+    if (owners.length === 0) {
+      return false;
+    }
+    return !owners.some(owner => {
+      const semanticModel = metricRegistry.semanticModels.get(owner);
+      return semanticModel && canAddMetricToModel(metric, semanticModel, metricRegistry.metrics);
+    });
+  });
+}
+
+/**
+ * find the semantic models used by a metric: the models owning its measures and the models whose primary entity
+ * is referenced by a dimension or entity in its filters (directly or through referenced metrics)
+ * @param {Object} metric - dbt metric
+ * @param {Object} metricRegistry - registry built by buildMetricRegistry
+ * @param {Set} visited - names of metrics already visited (guards against circular references)
+ * @returns {Set<string>} names of the semantic models
+ */
+function findMetricSemanticModels(metric, metricRegistry, visited = new Set()) {
+  const modelNames = new Set(metricRegistry.metricOwners.get(metric.name) || []);
+  if (visited.has(metric.name)) {
+    return modelNames;
+  }
+  visited.add(metric.name);
+
+  extractDimensionReferences(metric).forEach(({ entityName, metricName }) => {
+    // metrics referenced in filters are computed with the metric
+    (metricRegistry.metricOwners.get(metricName) || []).forEach(name => modelNames.add(name));
+    for (const semanticModel of metricRegistry.semanticModels.values()) {
+      if (semanticModel.entities?.some(e => e.type === 'primary' && e.name === entityName)) {
+        modelNames.add(semanticModel.name);
+      }
+    }
+  });
+
+  (metric.type_params?.metrics || []).forEach(refMetric => {
+    const refName = typeof refMetric === 'string' ? refMetric : refMetric.name;
+    const referencedMetric = metricRegistry.metrics.find(m => m.name === refName);
+    if (referencedMetric) {
+      findMetricSemanticModels(referencedMetric, metricRegistry, visited).forEach(name => modelNames.add(name));
+    }
+  });
+
+  return modelNames;
+}
+
+/**
+ * find the paths from an element to the elements it can reach through N:1 relationships
+ * @param {string} elementId - id of the element the paths start from
+ * @param {Array<Object>} elements - elements of the metrics hub
+ * @returns {Map} map of reachable element id -> path of element ids (e.g. ['customer', 'region'])
+ */
+function findRelationshipPaths(elementId, elements) {
+  const paths = new Map([[elementId, []]]);
+  const queue = [elementId];
+
+  while (queue.length > 0) {
+    const currentId = queue.shift();
+    const currentElement = elements.find(el => el.id === currentId);
+    (currentElement?.relationships || []).forEach(rel => {
+      if (!paths.has(rel.targetElementId)) {
+        paths.set(rel.targetElementId, [...paths.get(currentId), rel.targetElementId]);
+        queue.push(rel.targetElementId);
+      }
+    });
+  }
+
+  return paths;
+}
+
+/**
+ * build a semantic model for a metrics hub element that contains the measures and entities of all semantic models
+ * reachable from the element. measure expressions of other semantic models are prefixed with the relationship path
+ * to their element, so formulas built from them reference the related element (e.g. amount -> [order/amount]).
+ * @param {Object} anchorModel - semantic model of the element the metrics are added to
+ * @param {Array<Object>} relatedModels - semantic models of the related elements with their path {semanticModel, path}
+ * @param {Object} options - conversion options (options.dialect is the SQL dialect of measure expressions,
+ *   options.unsupportedFeatures collects the measures that cannot be converted)
+ * @returns {Object} semantic model
+ */
+function buildHubSemanticModel(anchorModel, relatedModels, options = {}) {
+  const hubModel = {
+    ...anchorModel,
+    entities: [...(anchorModel.entities || [])],
+    measures: [...(anchorModel.measures || [])]
+  };
+
+  relatedModels.forEach(({ semanticModel, path: elementPath }) => {
+    (semanticModel.entities || []).forEach(entity => {
+      if (!hubModel.entities.some(e => e.name === entity.name)) {
+        hubModel.entities.push({ ...entity, type: entity.type === 'primary' ? 'unique' : entity.type });
+      }
+    });
+
+    (semanticModel.measures || []).forEach(measure => {
+      if (hubModel.measures.some(m => m.name === measure.name)) {
+        return;
+      }
+      // the expression is converted to Sigma first so each column reference is prefixed (literals are kept)
+      // measures that cannot be converted are reported and skipped
+      let sigmaExpr;
+      try {
+        sigmaExpr = convertMeasureExpr(measure, options);
+      } catch (error) {
+        reportUnsupportedFeature(options, {
+          semanticModel: semanticModel.name,
+          metric: measure.name,
+          feature: 'measure',
+          reason: error.message
+        });
+        return;
+      }
+      const prefixedExpr = sigmaExpr.replace(/\[([^\]\/]+)\]/g, (match, column) => `[${elementPath.join('/')}/${column}]`);
+      // the measure keeps the agg_time_dimension of its own semantic model (hub defaults are those of the anchor)
+      const aggTimeDimension = measure.agg_time_dimension || semanticModel.defaults?.agg_time_dimension;
+      hubModel.measures.push({
+        ...measure,
+        sigmaExpr: prefixedExpr,
+        ...(aggTimeDimension && { agg_time_dimension: aggTimeDimension })
+      });
+    });
+  });
+
+  return hubModel;
+}
+
+/**
+ * read the element of the primary entity of a semantic model from its Sigma model file
+ * @param {Object} semanticModel - semantic model
+ * @param {string} sigmaModelDir - path to sigma_model directory
+ * @returns {Object|null} {dataModelId, element} or null if the Sigma model file or element is not found
+ */
+function readPrimaryElement(semanticModel, sigmaModelDir) {
+  const primaryEntity = semanticModel.entities?.find(e => e.type === 'primary');
+  if (!primaryEntity) {
+    return null;
+  }
+
+  // sanitize to prevent path traversal (sigma model dir is flat: modelName.yml)
+  const sigmaModelPath = sanitizePath(`${semanticModel.name}.yml`, sigmaModelDir);
+  if (!fs.existsSync(sigmaModelPath)) {
+    console.warn(`Sigma model file not found for semantic model: ${semanticModel.name} at ${sigmaModelPath}`);
+    return null;
+  }
+
+  try {
+    const sigmaModelData = yaml.load(fs.readFileSync(sigmaModelPath, 'utf8'));
+    const element = sigmaModelData.pages?.[0]?.elements?.find(el => el.name === primaryEntity.name);
+    if (!sigmaModelData.dataModelId || !element) {
+      console.warn(`Element ${primaryEntity.name} not found in sigma model file ${sigmaModelPath}`);
+      return null;
+    }
+    return { dataModelId: sigmaModelData.dataModelId, element };
+  } catch (error) {
+    console.warn(`Could not read sigma model file for ${semanticModel.name}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * add the N:1 relationships between metrics hub elements
+ * an element is related to another element when its semantic model has a foreign entity that is the primary entity of the other semantic model
+ * @param {Array<Object>} hubElements - array of {semanticModel, element, sourceColumns}
+ */
+function addHubRelationships(hubElements) {
+  hubElements.forEach(({ semanticModel, element, sourceColumns }) => {
+    const foreignEntities = semanticModel.entities?.filter(e => e.type === 'foreign') || [];
+
+    foreignEntities.forEach(entity => {
+      const target = hubElements.find(h => h.element.id === entity.name);
+      if (!target) {
+        return;
+      }
+
+      // find the column IDs by matching the column name pattern used for entity columns
+      const sourceColumnName = `${semanticModel.name}__${entity.name}`;
+      const targetColumnName = `${target.semanticModel.name}__${entity.name}`;
+      const sourceColumnId = sourceColumns?.find(col => col.name === sourceColumnName)?.id || sourceColumnName;
+      const targetColumnId = target.sourceColumns?.find(col => col.name === targetColumnName)?.id || targetColumnName;
+
+      element.relationships.push({
+        id: `${METRICS_HUB_NAME}__${semanticModel.name}__${entity.name}`,
+        name: `${METRICS_HUB_NAME}__${semanticModel.name}__${entity.name}`,
+        targetElementId: entity.name,
+        keys: [{
+          sourceColumnId: sourceColumnId,
+          targetColumnId: targetColumnId
+        }],
+        relationshipType: 'N:1'
+      });
+    });
+  });
+}
+
+/**
+ * convert metrics spanning several semantic models into a metrics hub Sigma data model
+ *
+ * the metrics hub has one element per semantic model used by a cross-model metric, sourced from the Sigma data model
+ * already created for that semantic model, and N:1 relationships between the elements based on foreign entities.
+ * each metric is added to the element from which all the semantic models it uses can be reached through relationships.
+ * @param {string} targetFilePath - path to output YAML file
+ * @param {Object} options - conversion options
+ * @param {Object} options.metricRegistry - registry built by buildMetricRegistry
+ * @param {string} options.sigmaModelDir - path to sigma_model directory with the Sigma data models of the semantic models
+ * @param {string} options.sigmaFolderId - Sigma folder ID
+ * @param {string} options.dataModelId - ID of the existing metrics hub data model (update mode)
+ * @param {string} options.timeSpineFile - _models.yml file for time spine models (used by offset windows of derived metrics)
+ * @param {string} options.manifestPath - path to semantic_manifest.json (warehouse tables of the time spines)
+ * @param {string} options.connectionId - Sigma connection ID of the time spine tables
+ * @param {Object} options.dialect - SQL dialect profile of the warehouse (optional, defaults to Snowflake)
+ * @returns {Object|null} Sigma data model or null if there are no cross-model metrics
+ */
+function convertMetricsHub(targetFilePath, options = {}) {
+  const { metricRegistry } = options;
+
+  const crossModelMetrics = findCrossModelMetrics(metricRegistry);
+  if (crossModelMetrics.length === 0) {
+    console.log('No cross-model metrics found, skipping metrics hub');
+    return null;
+  }
+
+  const metricOptions = {
+    helperElements: [],
+    unsupportedFeatures: [],
+    sigmaModelDir: options.sigmaModelDir,
+    timeSpineFile: options.timeSpineFile,
+    metricRegistry,
+    dialect: options.dialect
+  };
+  const report = (metric, feature, reason) => reportUnsupportedFeature(metricOptions, {
+    semanticModel: METRICS_HUB_NAME,
+    metric: metric.name,
+    feature,
+    reason
+  });
+
+  // semantic models used by each metric
+  const metricModelNames = new Map();
+  crossModelMetrics.forEach(metric => {
+    metricModelNames.set(metric.name, findMetricSemanticModels(metric, metricRegistry));
+  });
+
+  // build an element for each semantic model used by a cross-model metric
+  const hubElements = [];
+  new Set([...metricModelNames.values()].flatMap(names => [...names])).forEach(modelName => {
+    const semanticModel = metricRegistry.semanticModels.get(modelName);
+    const primaryElement = semanticModel && readPrimaryElement(semanticModel, options.sigmaModelDir);
+    if (!primaryElement) {
+      return;
+    }
+    const primaryEntity = semanticModel.entities.find(e => e.type === 'primary');
+    hubElements.push({
+      semanticModel,
+      element: buildDataModelElement(primaryEntity.name, primaryElement.dataModelId, primaryElement.element.id, primaryElement.element.columns),
+      sourceColumns: primaryElement.element.columns
+    });
+  });
+
+  addHubRelationships(hubElements);
+  const elements = hubElements.map(h => h.element);
+  // filters on dimensions of related entities are resolved through the relationships of the hub elements
+  metricOptions.elements = elements;
+
+  // process metrics in passes so that metrics are converted before the metrics that reference them (same order as convertSemantics)
+  // conversion metrics need the base and conversion events in the same element and are reported as unsupported
+  const metricPasses = ['simple', 'cumulative', 'derived', 'ratio'];
+  const convertedMetricsByElement = {}; // element id -> map of already converted metrics (formulas depend on the element)
+  const hubModelsByElement = {};
+  const metricOptionsByElement = {}; // element id -> conversion options collecting the helper elements of the element
+
+  crossModelMetrics
+    .filter(metric => !metricPasses.includes(metric.type))
+    .forEach(metric => report(metric, `cross_model.type.${metric.type}`, `cross-model metrics of type '${metric.type}' are not supported`));
+
+  metricPasses.forEach(metricType => {
+    crossModelMetrics.filter(m => m.type === metricType).forEach(metric => {
+      const modelNames = [...metricModelNames.get(metric.name)];
+      const metricHubElements = modelNames.map(name => hubElements.find(h => h.semanticModel.name === name));
+      if (metricHubElements.some(h => !h)) {
+        report(metric, 'cross_model.data_model', `Sigma data models not found for all of ${modelNames.join(', ')}`);
+        return;
+      }
+
+      // find the element from which all semantic models used by the metric are reachable
+      let anchor = null;
+      let paths = null;
+      for (const candidate of metricHubElements) {
+        const candidatePaths = findRelationshipPaths(candidate.element.id, elements);
+        if (metricHubElements.every(h => candidatePaths.has(h.element.id))) {
+          anchor = candidate;
+          paths = candidatePaths;
+          break;
+        }
+      }
+      if (!anchor) {
+        report(metric, 'cross_model.relationships', `no element relates to all of ${modelNames.join(', ')} through N:1 relationships`);
+        return;
+      }
+
+      const anchorId = anchor.element.id;
+      if (!hubModelsByElement[anchorId]) {
+        const relatedModels = hubElements
+          .filter(h => h !== anchor && paths.has(h.element.id))
+          .map(h => ({ semanticModel: h.semanticModel, path: paths.get(h.element.id) }));
+        hubModelsByElement[anchorId] = buildHubSemanticModel(anchor.semanticModel, relatedModels, metricOptions);
+        convertedMetricsByElement[anchorId] = {};
+        metricOptionsByElement[anchorId] = { ...metricOptions, helperElements: [] };
+      }
+      const hubModel = hubModelsByElement[anchorId];
+
+      if (!canAddMetricToModel(metric, hubModel, metricRegistry.metrics)) {
+        report(metric, 'cross_model.references', `measures, metrics or dimensions used by the metric are not available from element ${anchorId}`);
+        return;
+      }
+
+      try {
+        const sigmaMetric = convertMetricToSigma(metric, hubModel, metricRegistry.metrics, convertedMetricsByElement[anchorId], metricOptionsByElement[anchorId]);
+        if (sigmaMetric.formula) {
+          anchor.element.metrics.push(sigmaMetric);
+        }
+      } catch (error) {
+        report(metric, 'metric', error.message);
+      }
+    });
+  });
+
+  const targetData = {
+    ...(options.dataModelId && { dataModelId: options.dataModelId }),
+    name: METRICS_HUB_NAME,
+    schemaVersion: 1,
+    folderId: options.sigmaFolderId,
+    pages: [{
+      id: '1',
+      name: METRICS_HUB_NAME,
+      description: 'Metrics spanning several semantic models',
+      elements: elements
+    }]
+  };
+
+  // add helper elements required by metrics (e.g. Metric filters) to the element they are related to
+  Object.entries(metricOptionsByElement).forEach(([elementId, elementOptions]) => {
+    addHelperElements(targetData, elementId, elementOptions.helperElements);
+  });
+
+  // relate the elements metrics are added to with the time spine, as convertSemantics does for semantic models
+  // (time spine formulas of offset windows reference the time spine through the element's relationship)
+  if (options.timeSpineFile) {
+    Object.entries(hubModelsByElement).forEach(([elementId, hubModel]) => {
+      addTimeRelationships(targetData, hubElements.find(h => h.element.id === elementId).semanticModel, options.timeSpineFile, {
+        connectionId: options.connectionId,
+        manifestPath: options.manifestPath,
+        dialect: options.dialect
+      });
+    });
+  }
+
+  // write target YAML
+  const targetYaml = yaml.dump(targetData, {
+    indent: 2,
+    lineWidth: -1,
+    noRefs: true,
+    sortKeys: false,
+    forceQuotes: false,
+    quotingType: '"'
+  });
+  fs.writeFileSync(targetFilePath, targetYaml);
+
+  // write unsupported features if any
+  if (metricOptions.unsupportedFeatures.length > 0) {
+    const unsupportedFilePath = path.join(path.dirname(targetFilePath), 'unsupported_features.yml');
+    appendToOutputReport(unsupportedFilePath, 'unsupported_features', metricOptions.unsupportedFeatures, (a, b) =>
+      a.semanticModel === b.semanticModel && a.metric === b.metric && a.feature === b.feature
+    );
+    console.log(`Reported ${metricOptions.unsupportedFeatures.length} unsupported feature(s) in ${unsupportedFilePath}`);
+  }
+
+  const metricCount = elements.reduce((count, el) => count + el.metrics.length, 0);
+  console.log(`Converted ${metricCount} of ${crossModelMetrics.length} cross-model metric(s) to ${targetFilePath}`);
+  return targetData;
+}
+
+module.exports = {
+  METRICS_HUB_NAME,
+  convertMetricsHub
+};
@@ -4,43 +4,27 @@ const path = require('path');
 
 require('dotenv').config({ path: path.resolve(__dirname, '../../../.env') });
 
-const { canAddMetricToModel, convertMetricToSigma, buildMeasureFormula } = require('../metrics');
+const { canAddMetricToModel, convertMetricToSigma, buildMeasureFormula, addHelperElements, reportUnsupportedFeature, getMetricsForModel, buildImplicitMetrics } = require('../metrics');
 const { buildDimensionFormula, buildEntityExpressionFormula } = require('../dimensions/formula/build_sigma_formula');
 const { convertToUserFriendlyName } = require('../dimensions/utils/convertToUserFriendlyName');
 const { addTimeRelationships } = require('../time');
 const { sanitizePath } = require('./path_utils');
-
-/**
- * rewrites column formulas for foreign entity data models to use the current entity name instead of the source in the referenced data model.
- * the column formula in the referenced data model may refer to the warehouse table. the current data model needs to refer to the name of the table in the referenced data model..
- * e.g. [D_CUSTOMER/Cust Key] -> [d_customer/Cust Key]
- * @param {Array} columns - columns from foreign entity's Sigma model
- * @param {string} entityName - the entity name in the current model context
- * @returns {Array} columns with updated formulas
- */
-function rewriteColumnFormulasForForeignEntity(columns, entityName) {
-  if (!columns || !entityName) return columns;
-  return columns.map(col => {
-    if (!col.formula || typeof col.formula !== 'string') return col;
-    return {
-      ...col,
-      formula: `[${entityName}/${col.name}]`
-    };
-  });
-}
+const { appendToOutputReport } = require('./output_reports');
+const { buildDataModelElement } = require('./data_model_elements');
+const { splitFilterConditions, findSharedFilterConditions, removeFilterConditions, buildElementFilter } = require('../filter/element_filters');
+const { getDialect, getWarehouseTablePath } = require('../sql');
 
 /**
  * get warehouse table path [database, schema, table] from manifest's node_relation.
  * assumes the semantic model and node_relation exist in the manifest.
  * @param {Object} manifest - parsed semantic_manifest.json
  * @param {string} semanticModelName - name of semantic model (matches primaryEntity.name)
+ * @param {Object} dialect - SQL dialect profile of the warehouse (see routes/sql/dialects.js)
  * @returns {[string, string, string]} [database, schema, table]
  */
-function getWhTableFromManifest(manifest, semanticModelName) {
+function getWhTableFromManifest(manifest, semanticModelName, dialect = getDialect()) {
   const model = manifest.semantic_models.find(m => m.name === semanticModelName);
-  const nr = model.node_relation;
-  const table = nr.relation_name.split('.').pop().toUpperCase();
-  return [nr.database, nr.schema_name, table];
+  return getWarehouseTablePath(model.node_relation, dialect);
 }
 
 /**
@@ -56,6 +40,8 @@ function getWhTableFromManifest(manifest, semanticModelName) {
  * @param {string} options.timeSpineFile - _models.yml file for time spine models
  * @param {Array<Object>} options.foreignEntities - foreign entities from DAG with semanticModelName
  * @param {string} options.manifestPath - path to semantic_manifest.json
+ * @param {Object} options.metricRegistry - project-wide metric registry (optional, defaults to the metrics of the source file)
+ * @param {Object} options.dialect - SQL dialect profile of the warehouse (optional, defaults to Snowflake)
  */
 function convertSemantics(sourceFilePath, targetFilePath, options = {}) {
   try {
@@ -89,7 +75,8 @@ function convertSemantics(sourceFilePath, targetFilePath, options = {}) {
 
     // path from manifest node_relation (model and node_relation assumed to exist)
     const manifest = JSON.parse(fs.readFileSync(options.manifestPath, 'utf8'));
-    const whTablePath = getWhTableFromManifest(manifest, semanticModel.name);
+    const dialect = options.dialect || getDialect();
+    const whTablePath = getWhTableFromManifest(manifest, semanticModel.name, dialect);
 
     // build structure for Sigma data model
     // this section handles sourcing tables from the connection
@@ -125,6 +112,21 @@ function convertSemantics(sourceFilePath, targetFilePath, options = {}) {
 
     const userFriendlyColumnNameFlag = process.env.USER_FRIENDLY_COLUMN_NAMES;
 
+    // options used by metric conversions
+    // helper elements and unsupported features (including dimensions and entities that cannot be converted) are
+    // collected while the semantic model is converted
+    // elements, sigmaModelDir and metricRegistry are used to resolve filters on dimensions of related entities
+    // dialect is the SQL dialect of measure expressions
+    const metricOptions = {
+      timeSpineFile: options.timeSpineFile,
+      helperElements: [],
+      unsupportedFeatures: [],
+      elements: targetData.pages[0].elements,
+      sigmaModelDir: options.sigmaModelDir,
+      metricRegistry: options.metricRegistry,
+      dialect
+    };
+
     // convert dbt semantics dimensions to Sigma data model columns
     if (semanticModel.dimensions) {
 
@@ -135,11 +137,25 @@ function convertSemantics(sourceFilePath, targetFilePath, options = {}) {
           ? convertToUserFriendlyName(dimension.name) 
           : dimension.name;
         
+        // dimensions with expressions that cannot be converted are reported and skipped
+        let formula;
+        try {
+          formula = buildDimensionFormula(dimension, whTablePath[2], userFriendlyDimensionName, dialect);
+        } catch (error) {
+          reportUnsupportedFeature(metricOptions, {
+            semanticModel: semanticModel.name,
+            metric: dimension.name,
+            feature: 'dimension.expr',
+            reason: error.message
+          });
+          return;
+        }
+
         const column = {
           id: `${dimension.name}`,
           name: dimension.name,
           description: dimension.description,
-          formula: buildDimensionFormula(dimension, whTablePath[2], userFriendlyDimensionName)
+          formula: formula
         };
 
         // add synonyms if available
@@ -163,10 +179,23 @@ function convertSemantics(sourceFilePath, targetFilePath, options = {}) {
 
         // if the entity has an expression, create a column with id and name = semanticmodel_name__entity_name
         // the expression needs to be converted to Sigma formula syntax
+        let formula;
+        try {
+          formula = buildEntityExpressionFormula(entity, semanticModel.name, dialect);
+        } catch (error) {
+          reportUnsupportedFeature(metricOptions, {
+            semanticModel: semanticModel.name,
+            metric: entity.name,
+            feature: 'entity.expr',
+            reason: error.message
+          });
+          return;
+        }
+
         const column = {
           id: `${semanticModel.name}__${entity.name}`,
           name: `${semanticModel.name}__${entity.name}`,
-          formula: buildEntityExpressionFormula(entity, semanticModel.name)
+          formula: formula
         };
 
         targetData.pages[0].elements[0].columns.push(column);
@@ -252,24 +281,9 @@ function convertSemantics(sourceFilePath, targetFilePath, options = {}) {
     for (const [entityName, entityData] of Object.entries(foreignEntityData)) {
       if (entityData.datamodelId && entityData.tableId) {
         // add Sigma data model element corresponding to foreign entity
-        targetData.pages[0].elements.push({
-          id: entityName,
-          name: entityName,
-          description: entityName,
-          kind: 'table',
-          source: {
-            name: entityName,
-            kind: 'data-model',
-            dataModelId: entityData.datamodelId,
-            elementId: entityData.tableId
-          },
-          columns: rewriteColumnFormulasForForeignEntity (entityData.columns, entityName),
-          filters: [],
-          folders: [],
-          metrics: [],
-          relationships: [],
-          joins: []
-        });
+        targetData.pages[0].elements.push(
+          buildDataModelElement(entityName, entityData.datamodelId, entityData.tableId, entityData.columns)
+        );
 
         // add relationship to primary entity
         // find the target column ID by matching the column name pattern
@@ -293,11 +307,87 @@ function convertSemantics(sourceFilePath, targetFilePath, options = {}) {
     // ****************************************************
     // process dbt measures
     // ****************************************************
-    // TODO: handle create_metric property
+    // metrics attributed to the semantic model and all metrics of the project (for referenced metrics)
+    // without a registry, only the metrics defined in the source file and the implicit metrics of the measures are used
+    const sourceMetrics = sourceData.metrics || [];
+    let modelMetrics = options.metricRegistry
+      ? getMetricsForModel(options.metricRegistry, semanticModel.name)
+      : [...sourceMetrics, ...buildImplicitMetrics(semanticModel, sourceMetrics)];
+    let allMetrics = options.metricRegistry ? options.metricRegistry.metrics : modelMetrics;
+
+    // map of already converted metrics (name -> formula)
+    const convertedMetrics = {};
+
+    // ****************************************************
+    // process element filters
+    // ****************************************************
+    // with ELEMENT_FILTERS=true, the conditions declared in config.meta.sigma.filters filter the element instead of
+    // being repeated in each metric
+    // the element filter restricts every consumer of the element, including the metrics of measures, which have no
+    // filter. conditions shared by the filters of all metrics of the semantic model (including the cross-model metrics
+    // using its measures) also filter the element when it is metric-only (config.meta.sigma.measure_metrics: false),
+    // as no metric of a measure is added to it.
+    const metaFilterConditions = splitFilterConditions(semanticModel.config?.meta?.sigma?.filters);
+    const addMeasureMetrics = semanticModel.config?.meta?.sigma?.measure_metrics !== false;
+    if (process.env.ELEMENT_FILTERS === 'true') {
+      const metricContext = { semanticModel, allMetrics, options: metricOptions, convertMetricToSigma };
+      const sharedConditions = addMeasureMetrics
+        ? []
+        : findSharedFilterConditions(modelMetrics.filter(m => ['simple', 'cumulative', 'conversion', 'derived', 'ratio'].includes(m.type)));
+
+      const elementFilterConditions = [];
+      [...metaFilterConditions, ...sharedConditions].forEach(condition => {
+        if (elementFilterConditions.includes(condition)) {
+          return;
+        }
+        try {
+          const { column, filter } = buildElementFilter(condition, elementFilterConditions.length + 1, metricContext);
+          targetData.pages[0].elements[0].columns.push(column);
+          targetData.pages[0].elements[0].filters.push(filter);
+          elementFilterConditions.push(condition);
+        } catch (error) {
+          // shared conditions that cannot be converted stay in the metric filters and are reported with the metrics
+          if (metaFilterConditions.includes(condition)) {
+            reportUnsupportedFeature(metricOptions, {
+              semanticModel: semanticModel.name,
+              metric: 'config.meta.sigma.filters',
+              feature: 'element_filter',
+              reason: error.message
+            });
+          }
+        }
+      });
+
+      // conditions applied to the element are removed from the metric filters
+      if (elementFilterConditions.length > 0) {
+        const filteredMetrics = new Map(modelMetrics.map(m => [m.name, removeFilterConditions(m, elementFilterConditions)]));
+        modelMetrics = modelMetrics.map(m => filteredMetrics.get(m.name));
+        allMetrics = allMetrics.map(m => filteredMetrics.get(m.name) || m);
+        metricContext.allMetrics = allMetrics;
+      }
+    } else if (metaFilterConditions.length > 0) {
+      console.warn(`config.meta.sigma.filters of semantic model ${semanticModel.name} is only applied with ELEMENT_FILTERS=true`);
+    }
+
     // convert dbt semantics measures to Sigma data model metrics
-    if (semanticModel.measures) {
+    // metric-only semantic models (config.meta.sigma.measure_metrics: false) only get the metrics of the dbt metrics
+    if (semanticModel.measures && addMeasureMetrics) {
       semanticModel.measures.forEach(measure => {
-        const formulaObject = buildMeasureFormula(measure);
+        let formulaObject;
+        try {
+          formulaObject = buildMeasureFormula(measure, metricOptions);
+        } catch (error) {
+          reportUnsupportedFeature(metricOptions, {
+            semanticModel: semanticModel.name,
+            metric: measure.name,
+            feature: 'measure',
+            reason: error.message
+          });
+          return;
+        }
+
+        // measures with create_metric: true also get the implicit simple metric dbt creates for them
+        // (see buildImplicitMetrics), which is converted with the other metrics
         const metric = {
           id: `${measure.name}`,
           name: measure.name,
@@ -314,86 +404,68 @@ function convertSemantics(sourceFilePath, targetFilePath, options = {}) {
     // ****************************************************
     const crossModelMetrics = [];
 
-    // map of already converted metrics (name -> formula)
-    const convertedMetrics = {};
-
-    if (sourceData.metrics) {
-      // process metrics in three passes:
-      // 1. first pass: simple metrics (which reference measures)
-      // 2. second pass: derived metrics (which may reference other metrics)
-      // 3. third pass: ratio metrics (reference other metrics)
-      const simpleMetrics = sourceData.metrics.filter(m => m.type === 'simple');
-      const derivedMetrics = sourceData.metrics.filter(m => m.type === 'derived');
-      const ratioMetrics = sourceData.metrics.filter(m => m.type === 'ratio');
-
-      // process simple metrics first
-      simpleMetrics.forEach(metric => {
-        const canAddToCurrentModel = canAddMetricToModel(
-          metric,
-          semanticModel,
-          sourceData.metrics || []
-        );
-
-        if (canAddToCurrentModel) {
-          // add metric to current model if all dimensions and measures used by the dbt metric are in the current model
-          const sigmaMetric = convertMetricToSigma(metric, semanticModel, sourceData.metrics || [], convertedMetrics);
-          if (sigmaMetric.formula) {
-            targetData.pages[0].elements[0].metrics.push(sigmaMetric);
-          }
-        } else {
-          // add to cross-model metrics if any dimensions or measures used by the dbt metric are not in the current model
-          crossModelMetrics.push(metric);
-        }
-      });
-
-      // process derived metrics second (they can now reference already-converted metrics)
-      derivedMetrics.forEach(metric => {
-        const canAddToCurrentModel = canAddMetricToModel(
-          metric,
-          semanticModel,
-          sourceData.metrics || []
-        );
-
-        if (canAddToCurrentModel) {
-          // add metric to current model if all dimensions and measures/metrics used by the dbt metric are in the current model
-          const sigmaMetric = convertMetricToSigma(metric, semanticModel, sourceData.metrics || [], convertedMetrics);
-          if (sigmaMetric.formula) {
-            targetData.pages[0].elements[0].metrics.push(sigmaMetric);
+    if (modelMetrics.length > 0) {
+      // process metrics in passes so that metrics are converted before the metrics that reference them:
+      // 1. simple metrics (which reference measures)
+      // 2. cumulative metrics (which reference measures)
+      // 3. conversion metrics (which reference base and conversion measures)
+      // 4. derived metrics (which may reference other metrics)
+      // 5. ratio metrics (reference other metrics)
+      const metricPasses = ['simple', 'cumulative', 'conversion', 'derived', 'ratio'];
+
+      metricPasses.forEach(metricType => {
+        modelMetrics.filter(m => m.type === metricType).forEach(metric => {
+          const canAddToCurrentModel = canAddMetricToModel(
+            metric,
+            semanticModel,
+            allMetrics
+          );
+
+          if (canAddToCurrentModel) {
+            // add metric to current model if all dimensions and measures/metrics used by the dbt metric are in the current model
+            // metrics using measures that cannot be converted (e.g. unsupported aggregations) or filters that cannot be converted are reported
+            try {
+              const sigmaMetric = convertMetricToSigma(metric, semanticModel, allMetrics, convertedMetrics, metricOptions);
+              if (sigmaMetric.formula) {
+                targetData.pages[0].elements[0].metrics.push(sigmaMetric);
+              }
+            } catch (error) {
+              reportUnsupportedFeature(metricOptions, {
+                semanticModel: semanticModel.name,
+                metric: metric.name,
+                feature: 'metric',
+                reason: error.message
+              });
+            }
+          } else {
+            // add to cross-model metrics if any dimensions or measures/metrics used by the dbt metric are not in the current model
+            crossModelMetrics.push(metric);
           }
-        } else {
-          // add to cross-model metrics if any dimensions or measures/metrics used by the dbt metric are not in the current model
-          crossModelMetrics.push(metric);
-        }
+        });
       });
 
-      // process ratio metrics third (they can now reference already-converted metrics)
-      ratioMetrics.forEach(metric => {
-        const canAddToCurrentModel = canAddMetricToModel(
-          metric,
-          semanticModel,
-          sourceData.metrics || []
-        );
-
-        if (canAddToCurrentModel) {
-          // add metric to current model if all metrics used by the dbt metric are in the current model
-          const sigmaMetric = convertMetricToSigma(metric, semanticModel, sourceData.metrics || [], convertedMetrics);
-          if (sigmaMetric.formula) {
-            targetData.pages[0].elements[0].metrics.push(sigmaMetric);
-          }
-        } else {
-          // add to cross-model metrics if any dimensions or metrics used by the dbt metric are not in the current model
-          crossModelMetrics.push(metric);
-        }
-      });
+      // report metrics of types that are not converted
+      modelMetrics
+        .filter(m => !metricPasses.includes(m.type))
+        .forEach(metric => reportUnsupportedFeature(metricOptions, {
+          semanticModel: semanticModel.name,
+          metric: metric.name,
+          feature: `type.${metric.type}`,
+          reason: `metrics of type '${metric.type}' are not supported`
+        }));
     }
 
+    // add helper elements required by metrics (e.g. conversion metrics)
+    addHelperElements(targetData, primaryEntity.name, metricOptions.helperElements);
+
     // ****************************************************
     // process time spine relationships
     // ****************************************************
     if (options.timeSpineFile) {
       targetData = addTimeRelationships(targetData, semanticModel, options.timeSpineFile, {
         connectionId: options.connectionId,
-        manifestPath: options.manifestPath
+        manifestPath: options.manifestPath,
+        dialect
       });
     } else {
       console.warn('modelsFilePath not provided, skipping time dimension processing');
@@ -428,41 +500,18 @@ function convertSemantics(sourceFilePath, targetFilePath, options = {}) {
     // write cross-model metrics if any
     if (crossModelMetrics.length > 0) {
       const crossModelFilePath = path.join(path.dirname(targetFilePath), 'cross_model_metrics.yml');
-      let crossModelData = { metrics: [] };
-      
-      // Read existing cross_model_metrics.yml if it exists
-      if (fs.existsSync(crossModelFilePath)) {
-        try {
-          const existingContent = fs.readFileSync(crossModelFilePath, 'utf8');
-          const existingData = yaml.load(existingContent);
-          if (existingData && existingData.metrics) {
-            crossModelData.metrics = existingData.metrics;
-          }
-        } catch (error) {
-          console.warn(`Could not read existing cross_model_metrics.yml: ${error.message}`);
-        }
-      }
-      
-      // add new cross-model metrics (avoid duplicates)
-      crossModelMetrics.forEach(metric => {
-        const exists = crossModelData.metrics.some(m => m.name === metric.name);
-        if (!exists) {
-          crossModelData.metrics.push(metric);
-        }
-      });
-      
-      const crossModelYaml = yaml.dump(crossModelData, {
-        indent: 2,
-        lineWidth: -1,
-        noRefs: true,
-        sortKeys: false,
-        forceQuotes: false,
-        quotingType: '"'
-      });
-      
-      fs.writeFileSync(crossModelFilePath, crossModelYaml);
+      appendToOutputReport(crossModelFilePath, 'metrics', crossModelMetrics, (a, b) => a.name === b.name);
       console.log(`Added ${crossModelMetrics.length} cross-model metric(s) to ${crossModelFilePath}`);
     }
+
+    // write unsupported features if any
+    if (metricOptions.unsupportedFeatures.length > 0) {
+      const unsupportedFilePath = path.join(path.dirname(targetFilePath), 'unsupported_features.yml');
+      appendToOutputReport(unsupportedFilePath, 'unsupported_features', metricOptions.unsupportedFeatures, (a, b) =>
+        a.semanticModel === b.semanticModel && a.metric === b.metric && a.feature === b.feature
+      );
+      console.log(`Reported ${metricOptions.unsupportedFeatures.length} unsupported feature(s) in ${unsupportedFilePath}`);
+    }
     
     console.log(`Successfully converted ${sourceFilePath} to ${targetFilePath}`);
     return targetData;
@@ -0,0 +1,52 @@
+/**
+ * rewrites column formulas for foreign entity data models to use the current entity name instead of the source in the referenced data model.
+ * the column formula in the referenced data model may refer to the warehouse table. the current data model needs to refer to the name of the table in the referenced data model..
+ * e.g. [D_CUSTOMER/Cust Key] -> [d_customer/Cust Key]
+ * @param {Array} columns - columns from foreign entity's Sigma model
+ * @param {string} entityName - the entity name in the current model context
+ * @returns {Array} columns with updated formulas
+ */
+function rewriteColumnFormulasForForeignEntity(columns, entityName) {
+  if (!columns || !entityName) return columns;
+  return columns.map(col => {
+    if (!col.formula || typeof col.formula !== 'string') return col;
+    return {
+      ...col,
+      formula: `[${entityName}/${col.name}]`
+    };
+  });
+}
+
+/**
+ * builds an element sourced from an element of a Sigma data model that has already been created
+ * @param {string} entityName - name of the element in the current data model
+ * @param {string} dataModelId - id of the referenced Sigma data model
+ * @param {string} elementId - id of the element in the referenced Sigma data model
+ * @param {Array} columns - columns of the element in the referenced Sigma data model
+ * @returns {Object} Sigma element
+ */
+function buildDataModelElement(entityName, dataModelId, elementId, columns) {
+  return {
+    id: entityName,
+    name: entityName,
+    description: entityName,
+    kind: 'table',
+    source: {
+      name: entityName,
+      kind: 'data-model',
+      dataModelId: dataModelId,
+      elementId: elementId
+    },
+    columns: rewriteColumnFormulasForForeignEntity(columns, entityName),
+    filters: [],
+    folders: [],
+    metrics: [],
+    relationships: [],
+    joins: []
+  };
+}
+
+module.exports = {
+  rewriteColumnFormulasForForeignEntity,
+  buildDataModelElement
+};
@@ -4,10 +4,13 @@ const { v4: uuidv4 } = require('uuid');
 require('dotenv').config({ path: path.resolve(__dirname, '../../../.env') });
 
 const { convertSemantics } = require('./convert_semantics');
+const { convertMetricsHub, METRICS_HUB_NAME } = require('./convert_metrics_hub');
 const { createDataModelInSigma } = require('../sigma_api/create_data_model');
 const { updateDataModelInSigma } = require('../sigma_api/update_data_model');
 const { getDataModelFromSigma } = require('../sigma_api/get_data_model');
 const { sanitizePath } = require('./path_utils');
+const { buildMetricRegistry } = require('../metrics');
+const { resolveDialect } = require('../sql');
 
 /**
  * layer-by-layer processor for DAG-based semantic model conversion
@@ -23,6 +26,8 @@ class LayerProcessor {
     this.sigmaFolderId = options.sigmaFolderId;
     this.connectionId = options.connectionId;
     this.mode = options.mode || 'initial'; // 'initial' or 'update'
+    this.metricRegistry = null; // built once in processAllLayers
+    this.dialect = null; // resolved once in processAllLayers
 
     // ensure directories exist
     this.ensureDirectories();
@@ -262,6 +267,59 @@ class LayerProcessor {
     return null;
   }
 
+  /**
+   * create or update a converted data model in Sigma and save its spec to the sigma_model folder
+   * @param {string} name - name of the data model
+   * @param {string} outputFilePath - path to the converted data model file
+   * @param {Object} convertedData - converted data model
+   * @param {string|null} existingDataModelId - dataModelId of the existing data model (update mode)
+   * @returns {Promise<Object>} {sigmaModelId, sigmaModelPath}
+   */
+  async publishDataModel(name, outputFilePath, convertedData, existingDataModelId) {
+    let sigmaModelId;
+    let sigmaModelPath;
+    
+    if (process.env.TEST_FLAG === 'true') {
+      
+      if (this.mode === 'update' && existingDataModelId) {
+        // update mode: use existing dataModelId (placeholder)
+        sigmaModelId = existingDataModelId;
+      } else {
+        // initial mode: create new Sigma data model (placeholder)
+        sigmaModelId = await this.createDummySigmaDataModel(name, convertedData);
+      }
+    
+      // copy to sigma_model folder with GUID
+      sigmaModelPath = this.generateIDsAndCopyModelToSigmaFolder(outputFilePath, name, sigmaModelId);
+
+    } else {
+
+      if (this.mode === 'update' && existingDataModelId) {
+        // update mode: call Sigma API to update existing data model
+        console.log(`    Updating existing data model: ${existingDataModelId}`);
+        sigmaModelId = await updateDataModelInSigma(existingDataModelId, convertedData);
+      } else {
+        // initial mode: call Sigma API to create new data model
+        console.log(`    Creating new data model`);
+        sigmaModelId = await createDataModelInSigma(convertedData);
+      }
+
+      // call Sigma API to get data model
+      const dataModelSpec = await getDataModelFromSigma(sigmaModelId);
+      
+      if (process.env.FROM_CI_CD === 'true') {
+        // save data model as YAML to sigma_model folder
+        sigmaModelPath = this.saveDataModelSpecInRepo(dataModelSpec, name);
+      } else {
+        // save data model as YAML to sigma_model folder
+        sigmaModelPath = this.saveDataModelSpecToSigmaFolder(dataModelSpec, name);
+      }
+
+    }
+
+    return { sigmaModelId, sigmaModelPath };
+  }
+
   /**
    * process a single model in a layer
    * @param {Object} model - model information from DAG
@@ -304,6 +362,8 @@ class LayerProcessor {
         modelName: name,  // specify which semantic model to process from the file
         timeSpineFile: this.timeSpineFile,
         foreignEntities: foreignEntities,  // pass foreign entities from DAG
+        metricRegistry: this.metricRegistry,  // metrics from all source files and the semantic manifest
+        dialect: this.dialect,  // SQL dialect of the warehouse
         ...(existingDataModelId && { dataModelId: existingDataModelId })
       };
       
@@ -311,47 +371,8 @@ class LayerProcessor {
       console.log(`    Converting: ${sourceFilePath} -> ${outputFilePath} (model: ${name})`);
       const convertedData = convertSemantics(sourceFilePath, outputFilePath, conversionOptions);
 
-      let sigmaModelId;
-      let sigmaModelPath;
-      
-      if (process.env.TEST_FLAG === 'true') {
-        
-        if (this.mode === 'update' && existingDataModelId) {
-          // update mode: use existing dataModelId (placeholder)
-          sigmaModelId = existingDataModelId;
-        } else {
-          // initial mode: create new Sigma data model (placeholder)
-          sigmaModelId = await this.createDummySigmaDataModel(name, convertedData);
-        }
-      
-        // copy to sigma_model folder with GUID
-        sigmaModelPath = this.generateIDsAndCopyModelToSigmaFolder(outputFilePath, name, sigmaModelId);
-
-      } else {
-
-        if (this.mode === 'update' && existingDataModelId) {
-          // update mode: call Sigma API to update existing data model
-          console.log(`    Updating existing data model: ${existingDataModelId}`);
-          sigmaModelId = await updateDataModelInSigma(existingDataModelId, convertedData);
-        } else {
-          // initial mode: call Sigma API to create new data model
-          console.log(`    Creating new data model`);
-          sigmaModelId = await createDataModelInSigma(convertedData);
-        }
+      const { sigmaModelId, sigmaModelPath } = await this.publishDataModel(name, outputFilePath, convertedData, existingDataModelId);
 
-        // call Sigma API to get data model
-        const dataModelSpec = await getDataModelFromSigma(sigmaModelId);
-        
-        if (process.env.FROM_CI_CD === 'true') {
-          // save data model as YAML to sigma_model folder
-          sigmaModelPath = this.saveDataModelSpecInRepo(dataModelSpec, name);
-        } else {
-          // save data model as YAML to sigma_model folder
-          sigmaModelPath = this.saveDataModelSpecToSigmaFolder(dataModelSpec, name);
-        }
-
-      }
-      
       return {
         success: true,
         modelName: name,
@@ -374,6 +395,57 @@ class LayerProcessor {
     }
   }
 
+  /**
+   * final stage after all layers: convert metrics spanning several semantic models into the metrics hub data model
+   * the metrics hub references the data models created for the semantic models, so it is processed after all layers
+   * @returns {Promise<Object|null>} processing result or null if there are no cross-model metrics
+   */
+  async processMetricsHub() {
+    console.log(`\n=== Processing Metrics Hub ===`);
+
+    try {
+      const outputFilePath = sanitizePath(`${METRICS_HUB_NAME}.yml`, this.outputDir);
+
+      // in update mode, check if the metrics hub already exists and get its dataModelId
+      let existingDataModelId = null;
+      if (this.mode === 'update') {
+        existingDataModelId = this.getExistingDataModelId(METRICS_HUB_NAME);
+      }
+
+      const convertedData = convertMetricsHub(outputFilePath, {
+        metricRegistry: this.metricRegistry,
+        sigmaModelDir: this.sigmaModelDir,
+        sigmaFolderId: this.sigmaFolderId,
+        timeSpineFile: this.timeSpineFile,
+        manifestPath: this.manifestPath,
+        connectionId: this.connectionId,
+        dialect: this.dialect,
+        ...(existingDataModelId && { dataModelId: existingDataModelId })
+      });
+      if (!convertedData) {
+        return null;
+      }
+
+      const { sigmaModelId, sigmaModelPath } = await this.publishDataModel(METRICS_HUB_NAME, outputFilePath, convertedData, existingDataModelId);
+
+      return {
+        success: true,
+        modelName: METRICS_HUB_NAME,
+        outputFilePath: outputFilePath,
+        sigmaModelPath: sigmaModelPath,
+        sigmaModelId: sigmaModelId
+      };
+
+    } catch (error) {
+      console.error(`    ✗ Failed to process ${METRICS_HUB_NAME}:`, error.message);
+      return {
+        success: false,
+        modelName: METRICS_HUB_NAME,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * process all models in a layer
    * @param {Array} models - array of models in the layer
@@ -433,6 +505,14 @@ class LayerProcessor {
     
     // load DAG
     const dagData = this.loadDAG();
+
+    // collect metrics from all source files and the semantic manifest
+    this.metricRegistry = buildMetricRegistry(this.sourceDir, this.manifestPath);
+    console.log(`Loaded ${this.metricRegistry.metrics.length} metrics`);
+
+    // SQL dialect of the expressions (SQL_DIALECT or the adapter type of the manifest)
+    this.dialect = resolveDialect(this.manifestPath);
+    console.log(`SQL dialect: ${this.dialect.name}`);
     
     const allResults = {
       layers: [],
@@ -460,6 +540,9 @@ class LayerProcessor {
       allResults.summary.successfulModels += layerResults.filter(r => r.success).length;
       allResults.summary.failedModels += layerResults.filter(r => !r.success).length;
     }
+
+    // process cross-model metrics once the data models they reference exist
+    allResults.metricsHub = await this.processMetricsHub();
     
     // print final summary
     console.log('\n=== PROCESSING COMPLETE ===');
@@ -468,6 +551,9 @@ class LayerProcessor {
     console.log(`Successful: ${allResults.summary.successfulModels}`);
     console.log(`Failed: ${allResults.summary.failedModels}`);
     console.log(`Layers: ${allResults.summary.totalLayers}`);
+    if (allResults.metricsHub) {
+      console.log(`Metrics Hub: ${allResults.metricsHub.success ? 'Successful' : 'Failed'}`);
+    }
     
     return allResults;
   }
@@ -0,0 +1,50 @@
+const yaml = require('js-yaml');
+const fs = require('fs');
+
+/**
+ * append entries to a YAML report in the output folder (e.g. cross_model_metrics.yml)
+ * entries already present in the report are not added again, so the report accumulates across models and runs
+ * @param {string} filePath - path to the YAML report
+ * @param {string} key - top-level key holding the list of entries (e.g. 'metrics')
+ * @param {Array<Object>} entries - entries to add
+ * @param {Function} isSameEntry - (existingEntry, newEntry) => boolean used to avoid duplicates
+ */
+function appendToOutputReport(filePath, key, entries, isSameEntry) {
+  let reportData = { [key]: [] };
+
+  // read existing report if it exists
+  if (fs.existsSync(filePath)) {
+    try {
+      const existingContent = fs.readFileSync(filePath, 'utf8');
+      const existingData = yaml.load(existingContent);
+      if (existingData && existingData[key]) {
+        reportData[key] = existingData[key];
+      }
+    } catch (error) {
+      console.warn(`Could not read existing ${filePath}: ${error.message}`);
+    }
+  }
+
+  // add new entries (avoid duplicates)
+  entries.forEach(entry => {
+    const exists = reportData[key].some(existingEntry => isSameEntry(existingEntry, entry));
+    if (!exists) {
+      reportData[key].push(entry);
+    }
+  });
+
+  const reportYaml = yaml.dump(reportData, {
+    indent: 2,
+    lineWidth: -1,
+    noRefs: true,
+    sortKeys: false,
+    forceQuotes: false,
+    quotingType: '"'
+  });
+
+  fs.writeFileSync(filePath, reportYaml);
+}
+
+module.exports = {
+  appendToOutputReport
+};
@@ -2,10 +2,8 @@ const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '../../../.env') });
 
 const { convertToUserFriendlyName } = require('../utils/convertToUserFriendlyName');
-const { convertColumnReferences } = require('../utils/convertColumnReferences');
-const { convertCase } = require('../utils/convertCase');
-const { convertConcat } = require('../utils/convertConcat');
-const { convertSplitPart } = require('../utils/convertSplitPart');
+const { parseExpression, syntaxError, getDialect, getParseOptions } = require('../../sql');
+const { emitSigmaExpression } = require('./emit_sigma_expression');
 
 // check if user-friendly column names are enabled (converts underscores to spaces)
 // example: my_column → my column when flag is true
@@ -13,64 +11,24 @@ const userFriendlyColumnNameFlag = process.env.USER_FRIENDLY_COLUMN_NAMES;
 
 /**
  * converts SQL expression to Sigma formula syntax
+ * the expression is parsed into an AST (see routes/sql/parse.js) which is emitted as a Sigma formula, so nested
+ * functions, CASE expressions, operator precedence, quoted identifiers and comments are handled as a whole
+ * example: case when is_won then concat(first_name, ' ', last_name) end -> if([is_won],[first_name] & ' ' & [last_name])
  * @param {string} expr - SQL expression
+ * @param {Object} dialect - SQL dialect profile of the warehouse (see routes/sql/dialects.js, Snowflake by default)
  * @returns {string} Sigma formula
+ * @throws {Error} with the position of the unsupported node if the expression cannot be parsed or converted
  */
-function convertExpressionToSigma(expr) {
+function convertExpressionToSigma(expr, dialect = getDialect()) {
   if (!expr || typeof expr !== 'string') {
     return null;
   }
 
-  let converted = expr.trim();
-  
-  // normalize whitespace and handle multiline
-  converted = converted.replace(/\s+/g, ' ').trim();
-  
-  let changed = true;
-  let iterations = 0;
-  const maxIterations = 10; // Prevent infinite loops
-  
-  // apply conversions iteratively until no more changes
-  while (changed && iterations < maxIterations) {
-    changed = false;
-    iterations++;
-    
-    const before = converted;
-    
-    // convert CASE first because it may contain other functions
-    const caseResult = convertCase(converted, convertExpressionToSigma);
-    if (caseResult && caseResult !== converted) {
-      converted = caseResult;
-      changed = true;
-      continue;
-    }
-    
-    // convert CONCAT (may appear inside CASE results or standalone)
-    const concatResult = convertConcat(converted, convertExpressionToSigma);
-    if (concatResult && concatResult !== converted) {
-      converted = concatResult;
-      changed = true;
-      continue;
-    }
-    
-    // convert SPLIT_PART (may appear inside CASE, CONCAT, or standalone)
-    const splitPartResult = convertSplitPart(converted, convertExpressionToSigma);
-    if (splitPartResult && splitPartResult !== converted) {
-      converted = splitPartResult;
-      changed = true;
-      continue;
-    }
-    
-    // if no function conversions happened, break
-    if (before === converted) {
-      break;
-    }
-  }
-  
-  // convert any remaining column references
-  converted = convertColumnReferences(converted);
-  
-  return converted;
+  const input = expr.trim();
+  const fail = (message, node) => syntaxError(message, input, node.start);
+
+  const ast = parseExpression(input, getParseOptions(dialect));
+  return emitSigmaExpression(ast, { fail, dialect });
 }
 
 /**
@@ -78,12 +36,13 @@ function convertExpressionToSigma(expr) {
  * @param {Object|string} dimension - the dimension object
  * @param {string} sourceName - the name of the source
  * @param {string} userFriendlyDimensionName - the user-friendly name of the dimension
+ * @param {Object} dialect - SQL dialect profile of the warehouse
  * @returns {string} the formula for the dimension
  */
-function buildDimensionFormula(dimension, sourceName, userFriendlyDimensionName) {
+function buildDimensionFormula(dimension, sourceName, userFriendlyDimensionName, dialect = getDialect()) {
 
   if (dimension.expr && dimension.expr !== dimension.name) {
-    return convertExpressionToSigma(dimension.expr);
+    return convertExpressionToSigma(dimension.expr, dialect);
   }
   
   // if dimension type is time, use date_trunc with granularity
@@ -100,12 +59,13 @@ function buildDimensionFormula(dimension, sourceName, userFriendlyDimensionName)
  * builds a Sigma column formula for an entity's expression
  * @param {Object} entity - the entity object
  * @param {string} semanticModelName - the name of the semantic model
+ * @param {Object} dialect - SQL dialect profile of the warehouse
  * @returns {string} the formula for the entity's expression
  */
-function buildEntityExpressionFormula(entity, semanticModelName) {
+function buildEntityExpressionFormula(entity, semanticModelName, dialect = getDialect()) {
 
   if (entity.expr) {
-    return convertExpressionToSigma(entity.expr);
+    return convertExpressionToSigma(entity.expr, dialect);
   }
 
   if (!entity.expr) {
@@ -0,0 +1,184 @@
+const { CURRENT_TIME_FUNCTIONS, isDateNode, emitSigmaNode } = require('../../sql');
+const { convertColumnReference } = require('../utils/convertColumnReference');
+const { convertCase } = require('../utils/convertCase');
+const { convertConcat } = require('../utils/convertConcat');
+const { convertSplitPart, convertSplitElement } = require('../utils/convertSplitPart');
+const { convertDateTrunc } = require('../utils/convertDateTrunc');
+const { convertDateAdd } = require('../utils/convertDateAdd');
+const { convertDateDiff } = require('../utils/convertDateDiff');
+const { convertDatePart } = require('../utils/convertDatePart');
+const { convertToDate } = require('../utils/convertToDate');
+const { convertLastDay } = require('../utils/convertLastDay');
+const { convertConvertTimezone } = require('../utils/convertConvertTimezone');
+const { convertCurrentTime } = require('../utils/convertCurrentTime');
+const { convertSubstring } = require('../utils/convertSubstring');
+const { convertReplace } = require('../utils/convertReplace');
+const { convertRegexpSubstr } = require('../utils/convertRegexpSubstr');
+const { convertNullIf } = require('../utils/convertNullIf');
+const { convertIf } = require('../utils/convertIf');
+const { convertDiv0 } = require('../utils/convertDiv0');
+const { TYPE_CONVERSION_FUNCTIONS, convertTypeConversion } = require('../utils/convertTypeConversion');
+const { convertWindowFunction } = require('../utils/convertWindowFunction');
+const { renameFunction } = require('../utils/renameFunction');
+
+// SQL aggregate functions, which cannot be used in row-level expressions (measures are aggregated with their agg)
+const AGGREGATE_FUNCTIONS = [
+  'sum', 'avg', 'count', 'count_if', 'min', 'max', 'median', 'mode', 'any_value', 'approx_count_distinct',
+  'stddev', 'stddev_pop', 'stddev_samp', 'variance', 'var_pop', 'var_samp',
+  'listagg', 'string_agg', 'array_agg', 'percentile_cont', 'percentile_disc'
+];
+
+// converters of SQL functions (lowercase name -> converter(node, emit, fail, dialect))
+// this is the list of supported functions: functions without a converter are not supported, since a function of the
+// same name may not exist in Sigma or may take other arguments (e.g. md5, decode, nvl2)
+const FUNCTION_CONVERTERS = {
+  concat: convertConcat,
+  split_part: convertSplitPart,
+  upper: renameFunction('Upper', [1]),
+  lower: renameFunction('Lower', [1]),
+  initcap: renameFunction('Proper', [1]),
+  trim: renameFunction('Trim', [1]),
+  ltrim: renameFunction('LTrim', [1]),
+  rtrim: renameFunction('RTrim', [1]),
+  length: renameFunction('Len', [1]),
+  len: renameFunction('Len', [1]),
+  char_length: renameFunction('Len', [1]),
+  character_length: renameFunction('Len', [1]),
+  left: renameFunction('Left', [2]),
+  right: renameFunction('Right', [2]),
+  substring: convertSubstring,
+  substr: convertSubstring,
+  replace: convertReplace,
+  regexp_replace: convertReplace,
+  regexp_substr: convertRegexpSubstr,
+  regexp_extract: convertRegexpSubstr,
+  coalesce: renameFunction('Coalesce'),
+  nvl: renameFunction('Coalesce', [2]),
+  ifnull: renameFunction('Coalesce', [2]),
+  nullif: convertNullIf,
+  iff: convertIf,
+  if: convertIf,
+  zeroifnull: renameFunction('Zn', [1]),
+  div0: convertDiv0,
+  round: renameFunction('Round', [1, 2]),
+  floor: renameFunction('Floor', [1]),
+  ceil: renameFunction('Ceiling', [1]),
+  ceiling: renameFunction('Ceiling', [1]),
+  abs: renameFunction('Abs', [1]),
+  sign: renameFunction('Sign', [1]),
+  sqrt: renameFunction('Sqrt', [1]),
+  exp: renameFunction('Exp', [1]),
+  ln: renameFunction('Ln', [1]),
+  power: renameFunction('Power', [2]),
+  pow: renameFunction('Power', [2]),
+  mod: renameFunction('Mod', [2]),
+  greatest: renameFunction('Greatest'),
+  least: renameFunction('Least'),
+  date_trunc: convertDateTrunc,
+  timestamp_trunc: convertDateTrunc,
+  dateadd: convertDateAdd,
+  date_add: convertDateAdd,
+  timestampadd: convertDateAdd,
+  timestamp_add: convertDateAdd,
+  date_sub: convertDateAdd,
+  timestamp_sub: convertDateAdd,
+  datediff: convertDateDiff,
+  date_diff: convertDateDiff,
+  timestampdiff: convertDateDiff,
+  timestamp_diff: convertDateDiff,
+  date_part: convertDatePart,
+  datepart: convertDatePart,
+  extract: convertDatePart,
+  to_date: convertToDate,
+  to_timestamp: convertToDate,
+  last_day: convertLastDay,
+  convert_timezone: convertConvertTimezone,
+  ...Object.fromEntries(Object.keys(CURRENT_TIME_FUNCTIONS).map(name => [name, convertCurrentTime])),
+  ...Object.fromEntries(Object.keys(TYPE_CONVERSION_FUNCTIONS).map(name => [name, convertTypeConversion]))
+};
+
+/**
+ * emit the Sigma formula of the expression nodes that are not shared with filters (see emitSigmaNode)
+ * examples:
+ *   case when is_won then amount end -> if([is_won],[amount])
+ *   dateadd(day, 7, ordered_at) -> DateAdd('day', 7, [ordered_at])
+ *   lag(amount) over (order by ordered_at) -> Lag([amount])
+ * filters emit their function calls and CASE expressions with this function too, passing their own emit so
+ * that the arguments may hold Jinja references
+ * @param {Object} node - column, case, window, subscript, subquery, star or function AST node
+ * @param {Object} context - emit context {fail, dialect, emit}, emit emits the children (emitSigmaExpression by default)
+ * @returns {string} Sigma formula
+ * @throws {Error} with the position of the node if the node cannot be represented in Sigma
+ */
+function emitExpressionNode(node, context) {
+  const { fail, dialect } = context;
+  const emit = context.emit || ((child) => emitSigmaExpression(child, context));
+
+  switch (node.type) {
+    case 'column':
+      return convertColumnReference(node, fail);
+
+    case 'case':
+      return convertCase(node, emit);
+
+    case 'window':
+      return convertWindowFunction(node, emit, fail);
+
+    case 'subscript':
+      return convertSplitElement(node, emit, fail, dialect);
+
+    case 'subquery':
+      throw fail('Subqueries are not supported', node);
+
+    case 'star':
+      throw fail(`'*' is only supported in count(*)`, node);
+
+    case 'function': {
+      if (AGGREGATE_FUNCTIONS.includes(node.name.toLowerCase())) {
+        throw fail(`Aggregate function '${node.name}' is not supported in row-level expressions`, node);
+      }
+      if (node.distinct) {
+        throw fail(`DISTINCT is only supported in aggregate functions`, node);
+      }
+      const converter = FUNCTION_CONVERTERS[node.name.toLowerCase()];
+      if (!converter) {
+        throw fail(`Function '${node.name}' is not supported`, node);
+      }
+      return converter(node, emit, fail, dialect);
+    }
+
+    default:
+      throw fail(`'${node.type}' expressions are not supported`, node);
+  }
+}
+
+/**
+ * emit the Sigma formula of a SQL expression AST node (dimension, entity and measure expressions)
+ * operators, literals and casts are emitted by emitSigmaNode (routes/sql/sigma_formula.js) like in filters
+ * examples:
+ *   amount * quantity -> [amount] * [quantity]
+ *   first_name || ' ' || last_name -> [first_name] & ' ' & [last_name]
+ *   case when stage in ('Won', 'Lost') then 1 else 0 end -> if(arraycontains(array('Won','Lost'),[stage]),1,0)
+ *   current_date - 30 -> DateAdd('day', -30, Today())
+ * @param {Object} node - AST node returned by parseExpression
+ * @param {Object} context - emit context
+ * @param {Function} context.fail - creates the error for a node that cannot be converted (message, node)
+ * @param {Object} context.dialect - SQL dialect profile of the warehouse (see routes/sql/dialects.js)
+ * @returns {string} Sigma formula
+ * @throws {Error} with the position of the node if the node cannot be represented in Sigma
+ */
+function emitSigmaExpression(node, context) {
+  return emitSigmaNode(node, {
+    emit: (child) => emitSigmaExpression(child, context),
+    emitOther: (other) => emitExpressionNode(other, context),
+    fail: context.fail,
+    // types of columns are unknown, so only current times, casts and date arithmetic are dates
+    isDate: (child) => isDateNode(child)
+  });
+}
+
+module.exports = {
+  FUNCTION_CONVERTERS,
+  emitExpressionNode,
+  emitSigmaExpression
+};
@@ -0,0 +1,53 @@
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../../../.env') });
+const { convertToUserFriendlyName } = require('./convertToUserFriendlyName');
+
+// check if user-friendly column names are enabled (converts underscores to spaces)
+// example: my_column → my column when flag is true
+const userFriendlyColumnNameFlag = process.env.USER_FRIENDLY_COLUMN_NAMES;
+
+/**
+ * converts a column reference of a SQL expression to Sigma format [column_name]
+ *
+ * qualifiers of the column (e.g. orders in orders.amount) are dropped because Sigma columns are referenced by name
+ * within the element. quoted identifiers ("Order Date", `order-id`) are exact column names: they keep their case,
+ * spaces and special characters, also with USER_FRIENDLY_COLUMN_NAMES=true.
+ *
+ * examples:
+ *   input:  col1
+ *   output: [col1]
+ *
+ *   input:  my_column (USER_FRIENDLY_COLUMN_NAMES=true)
+ *   output: [My Column]
+ *
+ *   input:  "Order Date"
+ *   output: [Order Date]
+ *
+ *   input:  `order-id` (USER_FRIENDLY_COLUMN_NAMES=true)
+ *   output: [order-id]
+ *
+ * @param {Object} node - column AST node returned by parseExpression ({type: 'column', name, path, quoted})
+ * @param {Function} fail - builds an error with the position of a node
+ * @returns {string} Sigma column reference
+ * @throws {Error} if the quoted name is empty or contains square brackets (which delimit Sigma column references)
+ */
+function convertColumnReference(node, fail) {
+  if (node.quoted && !node.name.trim()) {
+    throw fail('Empty quoted identifier', node);
+  }
+  if (/[[\]]/.test(node.name)) {
+    throw fail(`Column name '${node.name}' contains square brackets, which cannot be referenced in a Sigma formula`, node);
+  }
+
+  // apply user-friendly name conversion to unquoted names if enabled (underscores → spaces)
+  // example: my_column → My Column if USER_FRIENDLY_COLUMN_NAMES=true
+  const userFriendlyName = userFriendlyColumnNameFlag === 'true' && !node.quoted
+    ? convertToUserFriendlyName(node.name)
+    : node.name;
+
+  return `[${userFriendlyName}]`;
+}
+
+module.exports = {
+  convertColumnReference
+};
@@ -0,0 +1,28 @@
+/**
+ * converts CONVERT_TIMEZONE function to Sigma syntax
+ * Sigma expects the timestamp first, then the target time zone and the optional source time zone
+ * examples:
+ *   convert_timezone('America/New_York', created_at)        -> ConvertTimezone([created_at], 'America/New_York')
+ *   convert_timezone('UTC', 'America/New_York', created_at) -> ConvertTimezone([created_at], 'America/New_York', 'UTC')
+ * @param {Object} node - function AST node (CONVERT_TIMEZONE)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @returns {string} Sigma formula
+ * @throws {Error} if the function does not have 2 or 3 arguments
+ */
+function convertConvertTimezone(node, emit, fail) {
+  if (node.args.length === 2) {
+    const [targetTimezone, timestamp] = node.args;
+    return `ConvertTimezone(${emit(timestamp)}, ${emit(targetTimezone)})`;
+  }
+  if (node.args.length === 3) {
+    const [sourceTimezone, targetTimezone, timestamp] = node.args;
+    return `ConvertTimezone(${emit(timestamp)}, ${emit(targetTimezone)}, ${emit(sourceTimezone)})`;
+  }
+
+  throw fail(`${node.name} needs 2 or 3 arguments`, node);
+}
+
+module.exports = {
+  convertConvertTimezone
+};
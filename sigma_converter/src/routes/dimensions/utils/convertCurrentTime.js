@@ -0,0 +1,22 @@
+const { CURRENT_TIME_FUNCTIONS } = require('../../sql');
+
+/**
+ * converts functions returning the current date or time to Sigma syntax
+ * examples: current_date -> Today(), current_timestamp -> Now(), getdate() -> Now()
+ * @param {Object} node - function AST node (CURRENT_DATE, CURRENT_TIMESTAMP, NOW, GETDATE or SYSDATE)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @returns {string} Sigma formula
+ * @throws {Error} if the function has arguments (e.g. a time zone)
+ */
+function convertCurrentTime(node, emit, fail) {
+  if (node.args.length > 0) {
+    throw fail(`${node.name} with arguments is not supported`, node);
+  }
+
+  return CURRENT_TIME_FUNCTIONS[node.name.toLowerCase()];
+}
+
+module.exports = {
+  convertCurrentTime
+};
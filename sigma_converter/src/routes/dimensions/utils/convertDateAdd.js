@@ -0,0 +1,58 @@
+const { PRECEDENCE, getPrecedence } = require('../../sql');
+const { parseWindow } = require('../../time');
+const { getDatePart } = require('./getDatePart');
+const { TRUNCATE_DATE_PARTS } = require('./convertDateTrunc');
+
+/**
+ * converts DATEADD, DATE_ADD and DATE_SUB functions to Sigma syntax
+ *
+ * the arguments differ between warehouses:
+ *   dateadd(day, 7, ordered_at)                (Snowflake, Databricks, Redshift) -> DateAdd('day', 7, [ordered_at])
+ *   date_add(ordered_at, interval 7 day)       (BigQuery)                        -> DateAdd('day', 7, [ordered_at])
+ *   date_add(ordered_at, 7)                    (Databricks, days)                -> DateAdd('day', 7, [ordered_at])
+ *   date_sub(ordered_at, interval 1 month)     (BigQuery)                        -> DateAdd('month', -1, [ordered_at])
+ *
+ * @param {Object} node - function AST node (DATEADD, DATE_ADD, TIMESTAMPADD, TIMESTAMP_ADD, DATE_SUB or TIMESTAMP_SUB)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @returns {string} Sigma formula
+ * @throws {Error} if the arguments do not match any of the forms above
+ */
+function convertDateAdd(node, emit, fail) {
+  const subtract = /_sub$/i.test(node.name);
+
+  if (node.args.length === 3 && !subtract) {
+    const [datePartArg, amount, date] = node.args;
+    const datePart = getDatePart(datePartArg);
+    if (!TRUNCATE_DATE_PARTS.includes(datePart)) {
+      throw fail(`${node.name} needs a date part (${TRUNCATE_DATE_PARTS.join(', ')}) as first argument`, datePartArg);
+    }
+    return `DateAdd('${datePart}', ${emit(amount)}, ${emit(date)})`;
+  }
+
+  if (node.args.length !== 2) {
+    throw fail(`${node.name} needs 2 or 3 arguments`, node);
+  }
+
+  const [date, amount] = node.args;
+
+  if (amount.type === 'interval') {
+    const parsedInterval = parseWindow(amount.value);
+    if (!parsedInterval) {
+      throw fail(`Interval '${amount.value}' is not supported`, amount);
+    }
+    const count = subtract ? -parsedInterval.count : parsedInterval.count;
+    return `DateAdd('${parsedInterval.datePart}', ${count}, ${emit(date)})`;
+  }
+
+  // without an interval, the amount is a number of days
+  if (!subtract) {
+    return `DateAdd('day', ${emit(amount)}, ${emit(date)})`;
+  }
+  const negatedAmount = getPrecedence(amount) <= PRECEDENCE.unary ? `-(${emit(amount)})` : `-${emit(amount)}`;
+  return `DateAdd('day', ${negatedAmount}, ${emit(date)})`;
+}
+
+module.exports = {
+  convertDateAdd
+};
@@ -0,0 +1,43 @@
+const { getDatePart } = require('./getDatePart');
+const { TRUNCATE_DATE_PARTS } = require('./convertDateTrunc');
+
+/**
+ * converts DATEDIFF and DATE_DIFF functions to Sigma syntax
+ *
+ * Sigma expects the date part, the start date and the end date, while the arguments differ between warehouses:
+ *   datediff(day, created_at, closed_at)   (Snowflake, Databricks, Redshift) -> DateDiff('day', [created_at], [closed_at])
+ *   date_diff(closed_at, created_at, DAY)  (BigQuery)                        -> DateDiff('day', [created_at], [closed_at])
+ *   datediff(closed_at, created_at)        (Databricks, days)                -> DateDiff('day', [created_at], [closed_at])
+ *
+ * @param {Object} node - function AST node (DATEDIFF, DATE_DIFF, TIMESTAMPDIFF or TIMESTAMP_DIFF)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @param {Object} dialect - SQL dialect profile (dialect.datePartFirst gives the position of the date part)
+ * @returns {string} Sigma formula
+ * @throws {Error} if the arguments do not match any of the forms above
+ */
+function convertDateDiff(node, emit, fail, dialect) {
+  if (node.args.length === 2) {
+    const [end, start] = node.args;
+    return `DateDiff('day', ${emit(start)}, ${emit(end)})`;
+  }
+
+  if (node.args.length !== 3) {
+    throw fail(`${node.name} needs 2 or 3 arguments`, node);
+  }
+
+  const [datePartArg, start, end] = dialect.datePartFirst
+    ? node.args
+    : [node.args[2], node.args[1], node.args[0]];
+  const datePart = getDatePart(datePartArg);
+  if (!TRUNCATE_DATE_PARTS.includes(datePart)) {
+    const position = dialect.datePartFirst ? 'first' : 'last';
+    throw fail(`${node.name} needs a date part (${TRUNCATE_DATE_PARTS.join(', ')}) as ${position} argument in ${dialect.name}`, datePartArg);
+  }
+
+  return `DateDiff('${datePart}', ${emit(start)}, ${emit(end)})`;
+}
+
+module.exports = {
+  convertDateDiff
+};
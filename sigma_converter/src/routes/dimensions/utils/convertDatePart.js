@@ -0,0 +1,41 @@
+const { getDatePart } = require('./getDatePart');
+
+/**
+ * converts DATE_PART and EXTRACT functions to Sigma syntax
+ *
+ * examples:
+ *   date_part('year', ordered_at)  -> DatePart('year', [ordered_at])
+ *   extract(month from ordered_at) -> DatePart('month', [ordered_at])
+ *   extract(dow from ordered_at)   -> (Weekday([ordered_at]) - 1) (Snowflake, Redshift and Postgres)
+ *   extract(dow from ordered_at)   -> Weekday([ordered_at]) (BigQuery and Databricks)
+ *
+ * Sigma's Weekday numbers the days of the week from 1 (Sunday), while Snowflake, Redshift and Postgres
+ * number them from 0 (Sunday).
+ *
+ * @param {Object} node - function AST node (DATE_PART, DATEPART or EXTRACT, see parseExpression)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @param {Object} dialect - SQL dialect profile (dialect.weekdayBase is the number of Sunday)
+ * @returns {string} Sigma formula
+ * @throws {Error} if the function does not have a date part and a date argument
+ */
+function convertDatePart(node, emit, fail, dialect) {
+  if (node.args.length !== 2) {
+    throw fail(`${node.name} needs 2 arguments`, node);
+  }
+
+  const [datePartArg, date] = node.args;
+  const datePart = getDatePart(datePartArg);
+  if (!datePart) {
+    throw fail(`${node.name} needs a date part such as 'year' or 'month' as first argument`, datePartArg);
+  }
+
+  if (datePart === 'weekday') {
+    return dialect.weekdayBase === 1 ? `Weekday(${emit(date)})` : `(Weekday(${emit(date)}) - ${1 - dialect.weekdayBase})`;
+  }
+  return `DatePart('${datePart}', ${emit(date)})`;
+}
+
+module.exports = {
+  convertDatePart
+};
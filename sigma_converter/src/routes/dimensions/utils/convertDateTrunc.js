@@ -0,0 +1,39 @@
+const { getDatePart } = require('./getDatePart');
+
+// date parts Sigma can truncate dates to
+const TRUNCATE_DATE_PARTS = ['year', 'quarter', 'month', 'week', 'day', 'hour', 'minute', 'second'];
+
+/**
+ * converts DATE_TRUNC function to Sigma syntax
+ *
+ * the date part comes first in Snowflake, Databricks, Redshift and Postgres and last in BigQuery:
+ *   date_trunc('month', ordered_at) -> DateTrunc('month', [ordered_at])
+ *   date_trunc(ordered_at, MONTH)   -> DateTrunc('month', [ordered_at]) (BigQuery)
+ *
+ * @param {Object} node - function AST node (DATE_TRUNC or TIMESTAMP_TRUNC)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @param {Object} dialect - SQL dialect profile (dialect.datePartFirst gives the position of the date part)
+ * @returns {string} Sigma formula
+ * @throws {Error} if the function does not have a date part and a date argument
+ */
+function convertDateTrunc(node, emit, fail, dialect) {
+  if (node.args.length !== 2) {
+    throw fail(`${node.name} needs 2 arguments`, node);
+  }
+
+  const [datePartArg, date] = dialect.datePartFirst ? node.args : [...node.args].reverse();
+  const datePart = getDatePart(datePartArg);
+
+  if (!TRUNCATE_DATE_PARTS.includes(datePart)) {
+    const position = dialect.datePartFirst ? 'first' : 'second';
+    throw fail(`${node.name} needs a date part (${TRUNCATE_DATE_PARTS.join(', ')}) as ${position} argument in ${dialect.name}`, datePartArg);
+  }
+
+  return `DateTrunc('${datePart}', ${emit(date)})`;
+}
+
+module.exports = {
+  TRUNCATE_DATE_PARTS,
+  convertDateTrunc
+};
@@ -0,0 +1,24 @@
+/**
+ * converts the Snowflake DIV0 function (division returning 0 when the divisor is 0) to Sigma syntax
+ * example: div0(revenue, orders) -> If([orders] = 0, 0, [revenue] / [orders])
+ * @param {Object} node - function AST node (DIV0)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @returns {string} Sigma formula
+ * @throws {Error} if the function does not have 2 arguments
+ */
+function convertDiv0(node, emit, fail) {
+  if (node.args.length !== 2) {
+    throw fail(`${node.name} needs 2 arguments`, node);
+  }
+
+  const [dividend, divisor] = node.args;
+  const zero = { type: 'literal', valueType: 'number', value: '0', start: node.start };
+  const condition = emit({ type: 'comparison', operator: '=', left: divisor, right: zero, start: node.start });
+  const quotient = emit({ type: 'binary', operator: '/', left: dividend, right: divisor, start: node.start });
+  return `If(${condition}, 0, ${quotient})`;
+}
+
+module.exports = {
+  convertDiv0
+};
@@ -0,0 +1,25 @@
+const { renameFunction } = require('./renameFunction');
+
+const convertToSigmaIf = renameFunction('If', [3]);
+
+/**
+ * converts the function form of if-then-else to Sigma syntax
+ * the function exists as iff in Snowflake, if in BigQuery and both in Databricks; Redshift and Postgres only have CASE
+ * example: iff(is_won, amount, 0) -> If([is_won], [amount], 0)
+ * @param {Object} node - function AST node (IFF or IF)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @param {Object} dialect - SQL dialect profile (dialect.conditionalFunctions lists the names of the function)
+ * @returns {string} Sigma formula
+ * @throws {Error} if the dialect has no function of this name or the function does not have 3 arguments
+ */
+function convertIf(node, emit, fail, dialect) {
+  if (!dialect.conditionalFunctions.includes(node.name.toLowerCase())) {
+    throw fail(`Function '${node.name}' is not supported in ${dialect.name}`, node);
+  }
+  return convertToSigmaIf(node, emit, fail);
+}
+
+module.exports = {
+  convertIf
+};
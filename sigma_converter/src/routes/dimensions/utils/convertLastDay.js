@@ -0,0 +1,33 @@
+const { getDatePart } = require('./getDatePart');
+
+// periods of which LAST_DAY can return the last day
+const LAST_DAY_DATE_PARTS = ['year', 'quarter', 'month', 'week'];
+
+/**
+ * converts LAST_DAY function to Sigma syntax
+ * the last day is the day before the start of the next period (month by default)
+ * examples:
+ *   last_day(ordered_at)          -> DateAdd('day', -1, DateAdd('month', 1, DateTrunc('month', [ordered_at])))
+ *   last_day(ordered_at, quarter) -> DateAdd('day', -1, DateAdd('quarter', 1, DateTrunc('quarter', [ordered_at])))
+ * @param {Object} node - function AST node (LAST_DAY)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @returns {string} Sigma formula
+ * @throws {Error} if the period is not supported
+ */
+function convertLastDay(node, emit, fail) {
+  if (node.args.length !== 1 && node.args.length !== 2) {
+    throw fail(`${node.name} needs 1 or 2 arguments`, node);
+  }
+
+  const datePart = node.args.length === 2 ? getDatePart(node.args[1]) : 'month';
+  if (!LAST_DAY_DATE_PARTS.includes(datePart)) {
+    throw fail(`${node.name} needs a date part (${LAST_DAY_DATE_PARTS.join(', ')}) as second argument`, node.args[1]);
+  }
+
+  return `DateAdd('day', -1, DateAdd('${datePart}', 1, DateTrunc('${datePart}', ${emit(node.args[0])})))`;
+}
+
+module.exports = {
+  convertLastDay
+};
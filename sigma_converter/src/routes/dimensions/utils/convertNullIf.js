@@ -0,0 +1,22 @@
+/**
+ * converts NULLIF function to Sigma syntax
+ * example: nullif(discount, 0) -> If([discount] = 0, Null, [discount])
+ * @param {Object} node - function AST node (NULLIF)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @returns {string} Sigma formula
+ * @throws {Error} if the function does not have 2 arguments
+ */
+function convertNullIf(node, emit, fail) {
+  if (node.args.length !== 2) {
+    throw fail(`${node.name} needs 2 arguments`, node);
+  }
+
+  const [value, nullValue] = node.args;
+  const condition = emit({ type: 'comparison', operator: '=', left: value, right: nullValue, start: node.start });
+  return `If(${condition}, Null, ${emit(value)})`;
+}
+
+module.exports = {
+  convertNullIf
+};
@@ -0,0 +1,23 @@
+/**
+ * converts REGEXP_SUBSTR and REGEXP_EXTRACT functions to Sigma syntax
+ * example: regexp_substr(email, '[^@]+$') -> RegexpExtract([email], '[^@]+$')
+ * @param {Object} node - function AST node (REGEXP_SUBSTR or REGEXP_EXTRACT)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @returns {string} Sigma formula
+ * @throws {Error} if the function has position, occurrence or group arguments (their meaning differs between warehouses)
+ */
+function convertRegexpSubstr(node, emit, fail) {
+  if (node.args.length > 2) {
+    throw fail(`${node.name} with more than 2 arguments is not supported`, node.args[2]);
+  }
+  if (node.args.length !== 2) {
+    throw fail(`${node.name} needs 2 arguments`, node);
+  }
+
+  return `RegexpExtract(${node.args.map(emit).join(', ')})`;
+}
+
+module.exports = {
+  convertRegexpSubstr
+};
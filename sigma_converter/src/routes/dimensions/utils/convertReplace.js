@@ -0,0 +1,40 @@
+/**
+ * converts REPLACE and REGEXP_REPLACE functions to Sigma syntax
+ * the replacement is optional in Snowflake and Redshift and defaults to an empty string (matches are removed)
+ * examples:
+ *   replace(phone, '-', '')               -> Replace([phone], '-', '')
+ *   replace(phone, '-')                   -> Replace([phone], '-', '')
+ *   regexp_replace(phone, '[^0-9]', '')   -> RegexpReplace([phone], '[^0-9]', '')
+ *   regexp_replace(phone, '[^0-9]', '', 'g') (Postgres flag replacing all matches, as Sigma does)
+ *     -> RegexpReplace([phone], '[^0-9]', '')
+ * Postgres replaces only the first match without the 'g' flag, which Sigma cannot represent.
+ * @param {Object} node - function AST node (REPLACE or REGEXP_REPLACE)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @param {Object} dialect - SQL dialect profile (dialect.regexpReplaceAll tells if all matches are replaced by default)
+ * @returns {string} Sigma formula
+ * @throws {Error} if the function has position, occurrence or flag arguments Sigma cannot represent
+ */
+function convertReplace(node, emit, fail, dialect) {
+  if (node.args.length < 2) {
+    throw fail(`${node.name} needs at least 2 arguments`, node);
+  }
+
+  const regexp = node.name.toLowerCase() === 'regexp_replace';
+  const [text, pattern, replacement, ...options] = node.args;
+
+  const replacesAll = options.length === 1 && options[0].type === 'literal' && options[0].value === 'g';
+  if (options.length > 0 && !(regexp && replacesAll)) {
+    throw fail(`${node.name} with more than 3 arguments is not supported`, options[0]);
+  }
+  if (regexp && !replacesAll && !dialect.regexpReplaceAll) {
+    throw fail(`${node.name} without the 'g' flag replaces only the first match in ${dialect.name}, which is not supported`, node);
+  }
+
+  const sigmaArgs = [emit(text), emit(pattern), replacement ? emit(replacement) : '\'\''];
+  return `${regexp ? 'RegexpReplace' : 'Replace'}(${sigmaArgs.join(', ')})`;
+}
+
+module.exports = {
+  convertReplace
+};
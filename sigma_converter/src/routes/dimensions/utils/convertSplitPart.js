@@ -1,53 +1,75 @@
-const { findMatchingClosingParen } = require('./findMatchingClosingParen');
-const { parseFunctionArguments } = require('./parseFunctionArguments');
-const { convertColumnReferences } = require('./convertColumnReferences');
+// BigQuery functions of the position of an array element (OFFSET is 0-based, ORDINAL is 1-based)
+const ARRAY_POSITIONS = { offset: 0, safe_offset: 0, ordinal: 1, safe_ordinal: 1 };
 
 /**
  * converts SPLIT_PART function to Sigma syntax
- * @param {string} expr - SPLIT_PART expression (e.g., SPLIT_PART(value, '@', 2))
- * @param {Function} convertExpressionToSigma - recursive function to convert nested expressions
+ * BigQuery has no split_part, its strings are split with split(value, delimiter)[offset(n)] (see convertSplitElement)
+ * @param {Object} node - function AST node (e.g., SPLIT_PART(value, '@', 2))
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @param {Object} dialect - SQL dialect profile (dialect.splitPart tells if the dialect has split_part)
  * @returns {string} Sigma formula (e.g., splitpart([value],'@',2))
+ * @throws {Error} if the dialect has no split_part or the function does not have 3 arguments
  */
-function convertSplitPart(expr, convertExpressionToSigma) {
-  // check if this is a SPLIT_PART function call (case insensitive)
-  const splitPartMatch = expr.match(/split_part\s*\(/i);
-  if (!splitPartMatch) {
-    return null;
+function convertSplitPart(node, emit, fail, dialect) {
+  if (!dialect.splitPart) {
+    throw fail(`Function '${node.name}' is not supported in ${dialect.name}`, node);
   }
-
-  // find the matching closing parenthesis
-  const startPos = splitPartMatch.index + splitPartMatch[0].length;
-  const endPos = findMatchingClosingParen(expr, startPos);
-  if (endPos === -1) {
-    return null;
+  // SPLIT_PART requires 3 arguments: text, delimiter and position
+  if (node.args.length !== 3) {
+    throw fail(`${node.name} needs 3 arguments`, node);
   }
 
-  // extracts the substring between the opening and closing parentheses
-  const argsStr = expr.substring(startPos, endPos);
-  const args = parseFunctionArguments(argsStr);
+  return `splitpart(${node.args.map(emit).join(',')})`;
+}
 
-  // SPLIT_PART requires 3 arguments
-  if (args.length < 3) {
-    return null;
+/**
+ * converts an element of a BigQuery SPLIT array to Sigma syntax
+ * the delimiter is ',' when omitted and the position is 0-based with OFFSET (or without a position function)
+ * and 1-based with ORDINAL
+ * examples:
+ *   split(email, '@')[offset(1)] -> splitpart([email],'@',2)
+ *   split(tags)[safe_ordinal(1)] -> splitpart([tags],',',1)
+ * @param {Object} node - subscript AST node
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @param {Object} dialect - SQL dialect profile
+ * @returns {string} Sigma formula
+ * @throws {Error} if the subscript is not an element of a BigQuery SPLIT array
+ */
+function convertSplitElement(node, emit, fail, dialect) {
+  const array = node.expression;
+  if (dialect.name !== 'bigquery' || array.type !== 'function' || array.name.toLowerCase() !== 'split') {
+    throw fail(`Array subscripts are only supported on BigQuery split(value, delimiter)`, node);
+  }
+  if (array.args.length < 1 || array.args.length > 2) {
+    throw fail(`${array.name} needs 1 or 2 arguments`, array);
   }
 
-  // convert first argument (may be a column reference or nested expression)
-  // first convert column references, then recursively convert nested expressions
-  let firstArg = convertColumnReferences(args[0].trim());
-  firstArg = convertExpressionToSigma(firstArg);
-  // keep other arguments as-is (they're strings/numbers)
-  const otherArgs = args.slice(1).map(arg => arg.trim());
+  let index = node.index;
+  let base = 0;
+  if (index.type === 'function' && ARRAY_POSITIONS[index.name.toLowerCase()] !== undefined) {
+    if (index.args.length !== 1) {
+      throw fail(`${index.name} needs 1 argument`, index);
+    }
+    base = ARRAY_POSITIONS[index.name.toLowerCase()];
+    index = index.args[0];
+  }
+
+  let position;
+  if (base === 1) {
+    position = emit(index);
+  } else if (index.type === 'literal' && index.valueType === 'number') {
+    position = String(Number(index.value) + 1);
+  } else {
+    position = `${emit(index)} + 1`;
+  }
 
-  // build result: splitpart([column], 'delimiter', position)
-  const result = `splitpart(${firstArg},${otherArgs.join(',')})`;
-  
-  // replace the original SPLIT_PART call
-  return expr.substring(0, splitPartMatch.index) + 
-         result + 
-         expr.substring(endPos + 1);
+  const delimiter = array.args.length === 2 ? emit(array.args[1]) : `','`;
+  return `splitpart(${emit(array.args[0])},${delimiter},${position})`;
 }
 
 module.exports = {
-  convertSplitPart
+  convertSplitPart,
+  convertSplitElement
 };
-
@@ -0,0 +1,84 @@
+const { PRECEDENCE, getPrecedence } = require('../../sql');
+
+/**
+ * get the value of an integer literal, including negative literals (-3)
+ * @param {Object} node - AST node
+ * @returns {number|null} value of the literal or null if the node is not an integer literal
+ */
+function getIntegerLiteral(node) {
+  if (node.type === 'unary') {
+    const value = getIntegerLiteral(node.operand);
+    return value === null ? null : -value;
+  }
+  if (node.type === 'literal' && node.valueType === 'number' && Number.isInteger(Number(node.value))) {
+    return Number(node.value);
+  }
+  return null;
+}
+
+/**
+ * converts SUBSTRING and SUBSTR functions to Sigma syntax
+ *
+ * positions are 1-based in SQL and in Sigma's Mid. Snowflake, BigQuery and Databricks read a start position of 0
+ * as 1 and negative start positions from the end of the string (-3 is the third character from the end), which
+ * Sigma does not, so literal start positions are adjusted:
+ *   substring(code, 2, 3)         -> Mid([code], 2, 3)
+ *   substring(code from 2 for 3)  -> Mid([code], 2, 3)
+ *   substring(code, 0, 3)         -> Mid([code], 1, 3)
+ *   substring(code, -3)           -> Right([code], 3)
+ *   substring(code, -3, 2)        -> Mid([code], Len([code]) - 2, 2)
+ *   substring(code, 2)            -> Mid([code], 2, Len([code]))
+ *
+ * in Redshift and Postgres, positions before 1 count in the length of the substring instead:
+ *   substring(code, 0, 3)         -> Mid([code], 1, 2)
+ *   substring(code, -1, n)        -> Mid([code], 1, [n] - 2)
+ *
+ * @param {Object} node - function AST node (SUBSTRING or SUBSTR, see parseExpression for FROM ... FOR)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @param {Object} dialect - SQL dialect profile (dialect.substringFromEnd tells how start positions below 1 are read)
+ * @returns {string} Sigma formula
+ * @throws {Error} if the function does not have 2 or 3 arguments
+ */
+function convertSubstring(node, emit, fail, dialect) {
+  if (node.args.length !== 2 && node.args.length !== 3) {
+    throw fail(`${node.name} needs 2 or 3 arguments`, node);
+  }
+
+  const text = emit(node.args[0]);
+  const startValue = getIntegerLiteral(node.args[1]);
+  const length = node.args.length === 3 ? emit(node.args[2]) : null;
+
+  if (startValue !== null && startValue < 1 && !dialect.substringFromEnd) {
+    if (length === null) {
+      return `Mid(${text}, 1, Len(${text}))`;
+    }
+    const lengthValue = getIntegerLiteral(node.args[2]);
+    if (lengthValue !== null) {
+      return `Mid(${text}, 1, ${Math.max(lengthValue - (1 - startValue), 0)})`;
+    }
+    const lengthFormula = getPrecedence(node.args[2]) < PRECEDENCE.additive ? `(${length})` : length;
+    return `Mid(${text}, 1, ${lengthFormula} - ${1 - startValue})`;
+  }
+
+  if (startValue !== null && startValue < 0) {
+    if (length === null) {
+      return `Right(${text}, ${-startValue})`;
+    }
+    const start = startValue === -1 ? `Len(${text})` : `Len(${text}) - ${-startValue - 1}`;
+    return `Mid(${text}, ${start}, ${length})`;
+  }
+
+  let start;
+  if (startValue !== null) {
+    start = String(Math.max(startValue, 1));
+  } else {
+    start = emit(node.args[1]);
+  }
+
+  return `Mid(${text}, ${start}, ${length === null ? `Len(${text})` : length})`;
+}
+
+module.exports = {
+  convertSubstring
+};
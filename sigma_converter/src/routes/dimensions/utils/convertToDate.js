@@ -0,0 +1,23 @@
+/**
+ * converts TO_DATE and TO_TIMESTAMP functions to Sigma syntax
+ * example: to_date(ordered_at) -> Date([ordered_at])
+ * @param {Object} node - function AST node (TO_DATE, TO_TIMESTAMP)
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @returns {string} Sigma formula
+ * @throws {Error} if a format argument is given (SQL and Sigma date formats differ)
+ */
+function convertToDate(node, emit, fail) {
+  if (node.args.length === 2) {
+    throw fail(`${node.name} with a format is not supported`, node.args[1]);
+  }
+  if (node.args.length !== 1) {
+    throw fail(`${node.name} needs 1 argument`, node);
+  }
+
+  return `Date(${emit(node.args[0])})`;
+}
+
+module.exports = {
+  convertToDate
+};
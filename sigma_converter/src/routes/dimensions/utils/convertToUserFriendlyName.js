@@ -1,6 +1,10 @@
 /**
  * converts a name to user-friendly format by replacing underscores with spaces
  * and capitalizing the first letter of each word (e.g. cust_key -> Cust Key)
+ *
+ * names written in a single case are capitalized word by word (ORDER_DATE -> Order Date, as Snowflake stores unquoted
+ * names in upper case), mixed case names keep their case (CamelCase -> CamelCase)
+ *
  * @param {string} name - the name to convert
  * @returns {string} user-friendly name with underscores replaced by spaces
  */
@@ -8,15 +12,16 @@ function convertToUserFriendlyName(name) {
   if (!name || typeof name !== 'string') {
     return name;
   }
+  const isSingleCase = name === name.toUpperCase() || name === name.toLowerCase();
+
   return name
     .replace(/_/g, ' ')
     .split(' ')
     .filter(word => word.length > 0)
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .map(word => word.charAt(0).toUpperCase() + (isSingleCase ? word.slice(1).toLowerCase() : word.slice(1)))
     .join(' ');
 }
 
 module.exports = {
   convertToUserFriendlyName
 };
-
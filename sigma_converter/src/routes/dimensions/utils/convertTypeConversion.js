@@ -0,0 +1,43 @@
+// Sigma functions of SQL type conversion functions
+const TYPE_CONVERSION_FUNCTIONS = {
+  to_number: 'Number', to_numeric: 'Number', to_decimal: 'Number', to_double: 'Number',
+  try_to_number: 'Number', try_to_numeric: 'Number', try_to_decimal: 'Number', try_to_double: 'Number',
+  to_char: 'Text', to_varchar: 'Text',
+  to_boolean: 'Logical', try_to_boolean: 'Logical'
+};
+
+/**
+ * converts type conversion functions (TO_NUMBER, TO_VARCHAR, TO_BOOLEAN, ...) to Sigma syntax
+ *
+ * examples:
+ *   to_number(amount_text)        -> Number([amount_text])
+ *   to_number(amount_text, 18, 2) -> Number([amount_text]) (precision and scale are dropped, as in casts)
+ *   to_varchar(customer_id)       -> Text([customer_id])
+ *
+ * @param {Object} node - function AST node
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @returns {string} Sigma formula
+ * @throws {Error} if the function has a format argument (SQL and Sigma formats differ)
+ */
+function convertTypeConversion(node, emit, fail) {
+  const sigmaFunction = TYPE_CONVERSION_FUNCTIONS[node.name.toLowerCase()];
+  const [value, ...options] = node.args;
+
+  if (!value) {
+    throw fail(`${node.name} needs at least 1 argument`, node);
+  }
+
+  // only numbers accept options without a format: precision and scale
+  const format = options.find(option => sigmaFunction !== 'Number' || option.type !== 'literal' || option.valueType !== 'number');
+  if (format) {
+    throw fail(`${node.name} with a format is not supported`, format);
+  }
+
+  return `${sigmaFunction}(${emit(value)})`;
+}
+
+module.exports = {
+  TYPE_CONVERSION_FUNCTIONS,
+  convertTypeConversion
+};
@@ -0,0 +1,105 @@
+const { quoteString } = require('../../sql');
+
+// Sigma functions ranking rows by the ORDER BY columns of the window
+const RANK_FUNCTIONS = {
+  row_number: 'RowNumber',
+  rank: 'Rank',
+  dense_rank: 'RankDense'
+};
+
+// Sigma functions reading the value of another row
+const OFFSET_FUNCTIONS = {
+  lag: 'Lag',
+  lead: 'Lead'
+};
+
+/**
+ * converts a ranking window function (row_number, rank, dense_rank) to Sigma syntax
+ *
+ * ranks are computed on the sort columns passed to the Sigma function. Sigma ranks apply to all the rows of the
+ * element, so a window with PARTITION BY is ranked on the partition columns followed by the ORDER BY columns and the
+ * rank of the first row of the partition is subtracted:
+ *   RowNumber([channel], [opened_at]) counts the rows of the previous partitions plus the rows before in the partition
+ *   Rank([channel]) is 1 plus the rows of the previous partitions
+ * dense ranks of a partition cannot be computed this way (the previous partitions count their distinct values).
+ *
+ * @param {Object} node - window AST node of a ranking function
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @returns {string} Sigma formula
+ * @throws {Error} if the ranking function cannot be represented in Sigma
+ */
+function convertRankFunction(node, emit, fail) {
+  const functionNode = node.function;
+  const name = functionNode.name.toLowerCase();
+
+  if (functionNode.args.length > 0) {
+    throw fail(`${functionNode.name} does not take arguments`, functionNode);
+  }
+  if (node.orderBy.length === 0 && name !== 'row_number') {
+    throw fail(`${functionNode.name} needs an ORDER BY`, node);
+  }
+  if (node.partitionBy.length > 0 && name === 'dense_rank') {
+    throw fail(`${functionNode.name} with PARTITION BY is not supported (Sigma dense ranks apply to all rows of the element)`, node);
+  }
+
+  const partitionArgs = node.partitionBy.map(emit);
+  const sortArgs = node.orderBy.map(({ expression, descending }) => (
+    descending ? `${emit(expression)}, ${quoteString('desc')}` : emit(expression)
+  ));
+  const formula = `${RANK_FUNCTIONS[name]}(${[...partitionArgs, ...sortArgs].join(', ')})`;
+
+  // parenthesized as the window is used like a function call
+  return partitionArgs.length > 0 ? `(${formula} - Rank(${partitionArgs.join(', ')}) + 1)` : formula;
+}
+
+/**
+ * converts a window function (function OVER (...)) to Sigma syntax
+ *
+ * ranks are computed on the PARTITION BY and ORDER BY columns of the window (see convertRankFunction). Lag and Lead
+ * follow the order of the rows of the element, so lag and lead are only converted without ORDER BY and PARTITION BY,
+ * and running totals (sum over ORDER BY), which would follow the same order with CumulativeSum, are not supported.
+ *
+ * examples:
+ *   row_number() over (order by ordered_at)                 -> RowNumber([ordered_at])
+ *   rank() over (order by amount desc)                      -> Rank([amount], 'desc')
+ *   rank() over (partition by channel order by opened_at)   -> (Rank([channel], [opened_at]) - Rank([channel]) + 1)
+ *   lag(amount, 1, 0) over ()                               -> Lag([amount], 1, 0)
+ *   lag(amount) over (order by ordered_at)                  -> error (Lag follows the order of the rows)
+ *   sum(amount) over (order by ordered_at)                  -> error (CumulativeSum follows the order of the rows)
+ *   ntile(4) over (order by amount)                         -> error (no Sigma equivalent)
+ *
+ * @param {Object} node - window AST node returned by parseExpression
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted
+ * @returns {string} Sigma formula
+ * @throws {Error} if the window function, its partition or its order cannot be represented in Sigma
+ */
+function convertWindowFunction(node, emit, fail) {
+  const functionNode = node.function;
+  const name = functionNode.name.toLowerCase();
+
+  if (RANK_FUNCTIONS[name]) {
+    return convertRankFunction(node, emit, fail);
+  }
+
+  if (OFFSET_FUNCTIONS[name]) {
+    if (node.orderBy.length > 0 || node.partitionBy.length > 0) {
+      throw fail(`${functionNode.name} with ORDER BY or PARTITION BY is not supported (Sigma ${OFFSET_FUNCTIONS[name]} follows the order of the rows of the element)`, node);
+    }
+    if (functionNode.args.length < 1 || functionNode.args.length > 3) {
+      throw fail(`${functionNode.name} needs 1 to 3 arguments`, functionNode);
+    }
+    return `${OFFSET_FUNCTIONS[name]}(${functionNode.args.map(emit).join(', ')})`;
+  }
+
+  if (name === 'sum' && node.orderBy.length > 0) {
+    throw fail(`Running totals are not supported (Sigma CumulativeSum follows the order of the rows of the element, not the ORDER BY of the window)`, node);
+  }
+
+  throw fail(`Window function '${functionNode.name}' is not supported`, node);
+}
+
+module.exports = {
+  convertWindowFunction
+};
@@ -0,0 +1,43 @@
+// maps SQL date parts (Snowflake, BigQuery, Databricks, Redshift and Postgres names and abbreviations) to Sigma date parts
+const SQL_DATE_PARTS = {
+  year: 'year', years: 'year', y: 'year', yy: 'year', yyyy: 'year', yr: 'year', yrs: 'year',
+  quarter: 'quarter', quarters: 'quarter', q: 'quarter', qtr: 'quarter', qtrs: 'quarter',
+  month: 'month', months: 'month', mm: 'month', mon: 'month', mons: 'month',
+  week: 'week', weeks: 'week', w: 'week', wk: 'week', weekofyear: 'week', woy: 'week',
+  day: 'day', days: 'day', d: 'day', dd: 'day', dayofmonth: 'day',
+  dayofweek: 'weekday', weekday: 'weekday', dow: 'weekday', dw: 'weekday',
+  hour: 'hour', hours: 'hour', h: 'hour', hh: 'hour', hr: 'hour', hrs: 'hour',
+  minute: 'minute', minutes: 'minute', m: 'minute', mi: 'minute', min: 'minute', mins: 'minute',
+  second: 'second', seconds: 'second', s: 'second', sec: 'second', secs: 'second'
+};
+
+/**
+ * get the Sigma date part of a date part argument of a SQL date function
+ *
+ * date parts are written as strings or as unquoted keywords depending on the warehouse and the function:
+ *   date_trunc('month', ordered_at), dateadd(day, 1, ordered_at), date_trunc(ordered_at, MONTH)
+ *
+ * examples:
+ *   'month' -> month
+ *   MONTH   -> month
+ *   dd      -> day
+ *   amount  -> null (not a date part)
+ *
+ * @param {Object} node - AST node of the argument
+ * @returns {string|null} Sigma date part or null if the argument is not a date part
+ */
+function getDatePart(node) {
+  const isKeyword = node.type === 'column' && node.path.length === 0 && !node.quoted;
+  const isString = node.type === 'literal' && node.valueType === 'string';
+
+  if (!isKeyword && !isString) {
+    return null;
+  }
+
+  return SQL_DATE_PARTS[String(isKeyword ? node.name : node.value).toLowerCase()] || null;
+}
+
+module.exports = {
+  SQL_DATE_PARTS,
+  getDatePart
+};
@@ -0,0 +1,24 @@
+/**
+ * creates the converter of a SQL function that has the same arguments as a Sigma function with another name
+ * examples:
+ *   renameFunction('Proper', [1]) converts initcap(name) to Proper([name])
+ *   renameFunction('Coalesce') converts nvl(region, 'none') to Coalesce([region], 'none')
+ * @param {string} sigmaName - name of the Sigma function
+ * @param {Array<number>} argCounts - numbers of arguments accepted by the Sigma function (any number if omitted)
+ * @returns {Function} converter(node, emit, fail) returning the Sigma formula
+ */
+function renameFunction(sigmaName, argCounts = null) {
+  return (node, emit, fail) => {
+    if (!argCounts && node.args.length === 0) {
+      throw fail(`${node.name} needs at least 1 argument`, node);
+    }
+    if (argCounts && !argCounts.includes(node.args.length)) {
+      throw fail(`${node.name} needs ${argCounts.join(' or ')} argument${argCounts[argCounts.length - 1] > 1 ? 's' : ''}`, node);
+    }
+    return `${sigmaName}(${node.args.map(emit).join(', ')})`;
+  };
+}
+
+module.exports = {
+  renameFunction
+};
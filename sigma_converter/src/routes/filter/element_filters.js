@@ -0,0 +1,94 @@
+const { convertFilterToSigma } = require('./filter_converter');
+const { findDimensionReferences } = require('../metrics/dimension_parser');
+
+/**
+ * split a dbt filter into its conditions (filters defined as a list are combined with and)
+ * @param {string|Array<string>|undefined} filter - dbt filter
+ * @returns {Array<string>} trimmed conditions
+ */
+function splitFilterConditions(filter) {
+  if (!filter) {
+    return [];
+  }
+  return [].concat(filter).map(condition => String(condition).trim()).filter(Boolean);
+}
+
+/**
+ * find the filter conditions shared by the metric-level filters of all metrics
+ * conditions with Metric references are not shared: their helper element is grouped from the element and cannot
+ * filter it
+ * @param {Array<Object>} metrics - dbt metrics using the element
+ * @returns {Array<string>} conditions present in the filter of every metric (none with less than two metrics)
+ */
+function findSharedFilterConditions(metrics) {
+  if (metrics.length < 2) {
+    return [];
+  }
+
+  const [first, ...others] = metrics.map(metric => splitFilterConditions(metric.filter));
+  return first.filter(condition =>
+    others.every(conditions => conditions.includes(condition))
+    && !findDimensionReferences(condition).some(ref => ref.kind === 'Metric'));
+}
+
+/**
+ * remove filter conditions applied to the element from the metric-level filter of a metric
+ * @param {Object} metric - dbt metric
+ * @param {Array<string>} conditions - conditions applied to the element
+ * @returns {Object} metric with the remaining conditions (the metric itself if it has none of the conditions)
+ */
+function removeFilterConditions(metric, conditions) {
+  const metricConditions = splitFilterConditions(metric.filter);
+  const remaining = metricConditions.filter(condition => !conditions.includes(condition));
+  if (remaining.length === metricConditions.length) {
+    return metric;
+  }
+
+  const { filter, ...metricWithoutFilter } = metric;
+  return remaining.length > 0 ? { ...metricWithoutFilter, filter: remaining } : metricWithoutFilter;
+}
+
+/**
+ * build the Sigma element filter for a filter condition
+ * the condition is converted to a boolean column of the element and the element is filtered on the rows where the
+ * column is true:
+ *   {{ Dimension('order__status') }} != 'test'
+ *   -> column {id: orders__element_filter_1, formula: [status] != 'test'}
+ *   -> filter {id: orders__element_filter_1__filter, columnId: orders__element_filter_1, kind: list, values: [true]}
+ * @param {string} condition - dbt filter condition
+ * @param {number} index - 1-based index of the filter on the element
+ * @param {Object} metricContext - {semanticModel, allMetrics, options, convertMetricToSigma} used to convert the condition
+ * @returns {Object} object with column and filter
+ * @throws {Error} if the condition cannot be converted or references a metric
+ */
+function buildElementFilter(condition, index, metricContext) {
+  const { semanticModel } = metricContext;
+  if (findDimensionReferences(condition).some(ref => ref.kind === 'Metric')) {
+    throw new Error(`Metric references cannot be used in element filters: ${condition}`);
+  }
+
+  const columnId = `${semanticModel.name}__element_filter_${index}`;
+
+  return {
+    column: {
+      id: columnId,
+      name: columnId,
+      description: `Element filter: ${condition}`,
+      formula: convertFilterToSigma(condition, semanticModel.name, metricContext)
+    },
+    filter: {
+      id: `${columnId}__filter`,
+      columnId: columnId,
+      kind: 'list',
+      mode: 'include',
+      values: [true]
+    }
+  };
+}
+
+module.exports = {
+  splitFilterConditions,
+  findSharedFilterConditions,
+  removeFilterConditions,
+  buildElementFilter
+};
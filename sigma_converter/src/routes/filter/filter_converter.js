@@ -1,73 +1,242 @@
-const { parseDimensionReference, DIMENSION_REF_PATTERN } = require('../metrics/dimension_parser');
+const { parseDimensionReference } = require('../metrics/dimension_parser');
+const { parseExpression, isDateNode, emitSigmaNode, getDialect, getParseOptions } = require('../sql');
+const { emitExpressionNode } = require('../dimensions/formula/emit_sigma_expression');
+const { combineFilters } = require('./filter_utils');
+const { GRANULARITY_DATE_PARTS } = require('../time');
+const { buildMetricFilterColumn } = require('../metrics/formula/build_metric_filter');
+const { resolveDimensionColumn } = require('./resolve_entity_path');
+
+/**
+ * get the granularity of a time dimension reference from its granularity argument or grain() method
+ * examples: TimeDimension('order__ordered_at', 'month') -> month, Dimension('order__ordered_at').grain('week') -> week
+ * @param {Object} node - reference AST node
+ * @param {Function} fail - creates the error for syntax that cannot be converted
+ * @returns {string|null} Sigma date part or null if the reference has no granularity
+ * @throws {Error} if the granularity or another method of the reference is not supported
+ */
+function getReferenceGranularity(node, fail) {
+  let granularity = node.kind === 'TimeDimension' ? node.args[1] : undefined;
+
+  node.methods.forEach(method => {
+    if (method.name !== 'grain' || method.args.length !== 1) {
+      throw fail(`Method '${method.name}' of ${node.kind} references is not supported`);
+    }
+    granularity = method.args[0];
+  });
+
+  if (granularity === undefined) {
+    return null;
+  }
+
+  const datePart = GRANULARITY_DATE_PARTS[String(granularity).toLowerCase()];
+  if (!datePart) {
+    throw fail(`Granularity '${granularity}' is not supported`);
+  }
+  return datePart;
+}
+
+/**
+ * check if a reference is a date: a TimeDimension reference, a reference with a granularity or a time dimension of
+ * the semantic model whose filter is converted
+ * @param {Object} node - AST node
+ * @param {Object} context - emit context {metricContext}
+ * @returns {boolean} true if the node is a date reference
+ */
+function isDateReference(node, context) {
+  if (node.type !== 'reference' || !['Dimension', 'TimeDimension'].includes(node.kind)) {
+    return false;
+  }
+  if (node.kind === 'TimeDimension' || node.methods.some(method => method.name === 'grain')) {
+    return true;
+  }
+
+  const { dimensionName, entityPath } = parseDimensionReference(String(node.args[0]));
+  const dimensions = entityPath.length <= 1 ? context.metricContext?.semanticModel?.dimensions || [] : [];
+  return dimensions.some(dimension => dimension.name === dimensionName && dimension.type === 'time');
+}
+
+/**
+ * emit the Sigma formula of a Jinja reference
+ * examples:
+ *   {{ Dimension('order__status') }} -> [status]
+ *   {{ Dimension('customer__region') }} -> [customer/region] (column of the related customer element)
+ *   {{ TimeDimension('order__ordered_at', 'month') }} -> DateTrunc('month', [ordered_at])
+ *   {{ Entity('customer') }} -> [orders__customer] (entity column of the semantic model)
+ *   {{ Metric('lifetime_revenue', group_by=['customer']) }} -> [lifetime_revenue__by_customer/lifetime_revenue__by_customer__value]
+ * @param {Object} node - reference AST node
+ * @param {Object} context - emit context {modelName, metricContext, fail}
+ * @returns {string} Sigma formula
+ * @throws {Error} if the reference cannot be represented in Sigma
+ */
+function emitReference(node, context) {
+  const { modelName, metricContext, fail } = context;
+  const maxArgs = { Dimension: 1, TimeDimension: 2, Entity: 1, Metric: 1 }[node.kind];
+
+  if (!maxArgs) {
+    throw fail(`${node.kind} references are not supported`);
+  }
+  if (node.args.length === 0 || node.args.length > maxArgs) {
+    throw fail(`${node.kind} references need ${maxArgs === 1 ? 'a name' : 'a name and an optional granularity'}`);
+  }
+
+  if (node.kind === 'Metric') {
+    const unsupportedKwarg = Object.keys(node.kwargs).find(key => key !== 'group_by');
+    if (unsupportedKwarg || node.methods.length > 0) {
+      throw fail(`Metric references only support the group_by argument`);
+    }
+    if (!metricContext) {
+      throw fail(`Metric references are not supported here`);
+    }
+    const groupBy = [].concat(node.kwargs.group_by || []).map(String);
+    try {
+      return buildMetricFilterColumn(String(node.args[0]), groupBy, metricContext);
+    } catch (error) {
+      throw fail(error.message);
+    }
+  }
+
+  if (Object.keys(node.kwargs).length > 0) {
+    throw fail(`Keyword arguments of ${node.kind} references are not supported`);
+  }
+
+  if (node.kind === 'Entity') {
+    if (node.methods.length > 0) {
+      throw fail(`Methods of Entity references are not supported`);
+    }
+    return `[${modelName}__${node.args[0]}]`;
+  }
+
+  const { dimensionName, entityPath } = parseDimensionReference(String(node.args[0]));
+  if (dimensionName === 'metric_time') {
+    throw fail(`metric_time references are not supported`);
+  }
+
+  // dimensions of related entities are referenced through the relationships of the data model
+  let column = `[${dimensionName}]`;
+  if (metricContext && entityPath.length > 0) {
+    try {
+      column = resolveDimensionColumn(entityPath, dimensionName, metricContext);
+    } catch (error) {
+      throw fail(error.message);
+    }
+  }
+
+  const datePart = getReferenceGranularity(node, fail);
+  return datePart ? `DateTrunc('${datePart}', ${column})` : column;
+}
+
+/**
+ * emit the Sigma formula of the filter nodes that are not shared with expressions (see emitSigmaNode)
+ * functions and CASE expressions are emitted by emitExpressionNode like in dimension expressions, with the
+ * SQL dialect of the warehouse
+ * examples:
+ *   status -> [status], {{ Dimension('order__status') }} -> [status], current_date -> Today()
+ *   {{ Dimension('order__ordered_at') }} >= dateadd(day, -7, current_date) -> [ordered_at] >= DateAdd('day', -7, Today())
+ * @param {Object} node - column, reference, function, case or subscript AST node
+ * @param {Object} context - emit context {modelName, metricContext, dialect, fail}
+ * @returns {string} Sigma formula
+ * @throws {Error} if the node cannot be represented in Sigma
+ */
+function emitFilterNode(node, context) {
+  const { fail } = context;
+
+  switch (node.type) {
+    case 'column':
+      return `[${node.name}]`;
+
+    case 'reference':
+      return emitReference(node, context);
+
+    case 'function':
+    case 'case':
+    case 'subscript':
+      return emitExpressionNode(node, { fail, dialect: context.dialect, emit: (child) => emitSigmaFilter(child, context) });
+
+    default:
+      throw fail(`'${node.type}' conditions are not supported`);
+  }
+}
+
+/**
+ * emit the Sigma formula of a filter AST node
+ * operators, literals and casts are emitted by emitSigmaNode (routes/sql/sigma_formula.js) like in expressions
+ * examples:
+ *   {{ Dimension('order__status') }} in ('won','lost') -> arraycontains(array('won','lost'),[status])
+ *   {{ Dimension('order__region') }} is null or {{ Dimension('order__region') }} ilike '%eu%'
+ *     -> isnull([region]) or ilike([region],'%eu%')
+ *   {{ Dimension('order__amount') }} not between 10 and 20 -> not(between([amount],10,20))
+ *   {{ TimeDimension('order__ordered_at', 'day') }} >= '2024-01-01'::date
+ *     -> DateTrunc('day', [ordered_at]) >= Date('2024-01-01')
+ *   {{ TimeDimension('order__ordered_at', 'month') }} >= '2024-01-01' -> DateTrunc('month', [ordered_at]) >= Date('2024-01-01')
+ *   {{ Dimension('order__ordered_at') }} >= current_date - 30 -> [ordered_at] >= DateAdd('day', -30, Today())
+ * @param {Object} node - AST node returned by parseExpression
+ * @param {Object} context - emit context
+ * @param {string} context.modelName - current semantic model name
+ * @param {Object} context.dialect - SQL dialect profile of the warehouse (see routes/sql/dialects.js)
+ * @param {Function} context.fail - creates the error for syntax that cannot be converted
+ * @returns {string} Sigma formula
+ * @throws {Error} if the node cannot be represented in Sigma
+ */
+function emitSigmaFilter(node, context) {
+  return emitSigmaNode(node, {
+    emit: (child) => emitSigmaFilter(child, context),
+    emitOther: (other) => emitFilterNode(other, context),
+    fail: context.fail,
+    isDate: (child) => isDateNode(child, reference => isDateReference(reference, context))
+  });
+}
+
+// AST nodes that are conditions by themselves (CASE is a condition when its results are)
+const CONDITION_NODE_TYPES = ['comparison', 'in', 'is_null', 'is_boolean', 'is_distinct', 'like', 'between', 'case'];
+
+/**
+ * check that a filter AST node is a condition, so a bare value such as {{ Dimension('order__status') }} is not
+ * turned into a Sigma filter that Sigma cannot evaluate
+ * example: {{ Dimension('order__status') }} -> error, {{ Dimension('order__is_won') }} = true -> ok
+ * @param {Object} node - AST node returned by parseExpression
+ * @param {Function} fail - creates the error for syntax that cannot be converted
+ * @throws {Error} if the node or an operand of and, or and not is not a condition
+ */
+function assertCondition(node, fail) {
+  if (node.type === 'logical') {
+    node.operands.forEach(operand => assertCondition(operand, fail));
+  } else if (node.type === 'not') {
+    assertCondition(node.operand, fail);
+  } else if (!CONDITION_NODE_TYPES.includes(node.type) && !(node.type === 'literal' && node.valueType === 'boolean')) {
+    throw fail(`Filter must be a condition (compare boolean values explicitly, e.g. ... = true)`);
+  }
+}
 
 /**
  * convert dbt filter expression to Sigma filter syntax
- * @param {string} filterStr - filter string from dbt
+ * the filter is parsed into an AST (see routes/sql/parse.js) which is emitted as a Sigma boolean formula,
+ * so compound filters with and, or, not and parentheses are converted as a whole. filters defined as a list
+ * are combined with and.
+ * example: {{ Dimension('order__status') }} in ('won','lost') and ({{ Dimension('order__region') }} is null or amount > 10)
+ *   -> arraycontains(array('won','lost'),[status]) and (isnull([region]) or [amount] > 10)
+ * @param {string|Array<string>} filter - filter string (or list of filter strings) from dbt
  * @param {string} modelName - current semantic model name
+ * @param {Object|null} metricContext - {semanticModel, allMetrics, options, convertMetricToSigma} of the metric whose filter is converted,
+ *   needed for Metric references (see buildMetricFilterColumn) and dimensions of related entities
+ *   (see resolveDimensionColumn)
  * @returns {string} Sigma filter expression
+ * @throws {Error} if the filter cannot be parsed or contains syntax that cannot be represented in Sigma
  */
-function convertFilterToSigma(filterStr, modelName) {
-  //normalize whitespace and remove Jinja template syntax
-  let converted = filterStr
-    .replace(/\{\{|\}\}/g, '') // remove Jinja syntax
-    .replace(/\s+/g, ' ') // normalize whitespace
-    .trim();
-  
-  // replace Dimension('modelname__dimensionname') with [dimensionname]
-  // this handles the following operators: =, !=, <=, >=, <, >, in, not in
-  // examples:
-  // {{ Dimension('order__is_food_order') }} = True -> [food_order] = True
-  // {{ Dimension('order__is_food_order') }} = 1 -> [food_order] = 1
-  // {{ Dimension('order__is_food_order') }} = 'abc' -> [food_order] = 'abc'
-  // {{ Dimension('order__amount') }} <= 100 -> [amount] <= 100
-  // {{ Dimension('order__amount') }} >= 50 -> [amount] >= 50
-  // {{ Dimension('order__status') }} != 'cancelled' -> [status] != 'cancelled'
-  converted = converted.replace(DIMENSION_REF_PATTERN, (match, dimRef) => {
-    const { dimensionName } = parseDimensionReference(dimRef);
-    return `[${dimensionName}]`;
-  });
-  
-  // convert "in" conditions to arraycontains
-  // pattern: [dimension] in ('value1','value2',...) or [dimension] in ("value1","value2",...)
-  converted = converted.replace(/\[([^\]]+)\]\s+in\s+\(([^)]+)\)/gi, (match, dimension, values) => {
-    // Take the entire values string and put it directly in array()
-    return `arraycontains(array(${values}),[${dimension}])`;
-  });
-  
-  // convert "not in" conditions
-  converted = converted.replace(/\[([^\]]+)\]\s+not\s+in\s+\(([^)]+)\)/gi, (match, dimension, values) => {
-    // Take the entire values string and put it directly in array()
-    return `not(arraycontains(array(${values}),[${dimension}]))`;
-  });
-  
-  // convert "is not null" conditions
-  // pattern: [dimension] is not null
-  converted = converted.replace(/\[([^\]]+)\]\s+is\s+not\s+null/gi, (match, dimension) => {
-    return `isnotnull([${dimension}])`;
-  });
-  
-  // convert "is null" conditions
-  // pattern: [dimension] is null
-  converted = converted.replace(/\[([^\]]+)\]\s+is\s+null/gi, (match, dimension) => {
-    return `isnull([${dimension}])`;
-  });
-  
-  // convert "not ilike" conditions
-  // pattern: [dimension] not ilike 'pattern' or [dimension] not ilike "pattern"
-  converted = converted.replace(/\[([^\]]+)\]\s+not\s+ilike\s+(['"])([^'"]*)\2/gi, (match, dimension, quote, pattern) => {
-    return `not(ilike([${dimension}],${quote}${pattern}${quote}))`;
-  });
-  
-  // convert "ilike" conditions
-  // pattern: [dimension] ilike 'pattern' or [dimension] ilike "pattern"
-  converted = converted.replace(/\[([^\]]+)\]\s+ilike\s+(['"])([^'"]*)\2/gi, (match, dimension, quote, pattern) => {
-    return `ilike([${dimension}],${quote}${pattern}${quote})`;
-  });
-  
-  return converted;
+function convertFilterToSigma(filter, modelName, metricContext = null) {
+  if (Array.isArray(filter)) {
+    return filter.reduce((combined, f) => combineFilters(combined, convertFilterToSigma(f, modelName, metricContext)), null);
+  }
+
+  const filterStr = String(filter).trim();
+  const fail = (message) => new Error(`${message} in filter "${filterStr}"`);
+
+  // filters are rendered into the SQL of the warehouse, so they are parsed in its dialect
+  const dialect = metricContext?.options?.dialect || getDialect();
+  const ast = parseExpression(filterStr, getParseOptions(dialect));
+  assertCondition(ast, fail);
+  return emitSigmaFilter(ast, { modelName, metricContext, dialect, fail });
 }
 
 module.exports = {
   convertFilterToSigma
 };
-
@@ -1,3 +1,5 @@
+const { buildAggregateFormula } = require('../metrics/formula/build_aggregate_formula');
+
 /**
  * combine two filters with and condition
  * @param {string} existingFilter - existing filter string
@@ -11,24 +13,19 @@ function combineFilters(existingFilter, newFilter) {
   if (!newFilter) {
     return existingFilter;
   }
-  return `(${existingFilter}) and ${newFilter}`;
+  return `(${existingFilter}) and (${newFilter})`;
 }
 
 /**
  * rebuild a filtered formula with a combined filter
- * @param {string} aggFunc - aggregation function name (e.g., "countdistinctif")
- * @param {string} measureExpr - measure expression (e.g., "mql_id") or null for countif
+ * @param {string} aggFunc - aggregation function name of the formula object (e.g., "countdistinct")
+ * @param {string} measureExpr - Sigma expression of the measure (e.g., "[mql_id]") or null for count
  * @param {string} combinedFilter - combined filter string
+ * @param {Object|null} aggParams - aggregation parameters of the formula object (e.g., {percentile: 0.9})
  * @returns {string} rebuilt formula string
  */
-function rebuildFilteredFormula(aggFunc, measureExpr, combinedFilter) {
-  // special case for countif - it doesn't have a measure expression
-  if (aggFunc === 'countif') {
-    return `${aggFunc}(${combinedFilter})`;
-  }
-  
-  // for aggregations other than countif, format is aggFunc([expr],filter)
-  return `${aggFunc}([${measureExpr}],${combinedFilter})`;
+function rebuildFilteredFormula(aggFunc, measureExpr, combinedFilter, aggParams = null) {
+  return buildAggregateFormula(aggFunc, measureExpr, aggParams, combinedFilter);
 }
 
 module.exports = {
@@ -0,0 +1,139 @@
+const yaml = require('js-yaml');
+const fs = require('fs');
+const { sanitizePath } = require('../converter/path_utils');
+const { buildDataModelElement } = require('../converter/data_model_elements');
+
+/**
+ * find the name of the semantic model whose primary entity is the given entity
+ * without a metric registry, the Sigma data model of an entity is expected to be named after the entity
+ * @param {string} entityName - entity name
+ * @param {Object} options - conversion options (options.metricRegistry)
+ * @returns {string} semantic model name
+ */
+function findEntitySemanticModelName(entityName, options) {
+  for (const semanticModel of options.metricRegistry?.semanticModels?.values() || []) {
+    if (semanticModel.entities?.some(e => e.type === 'primary' && e.name === entityName)) {
+      return semanticModel.name;
+    }
+  }
+  return entityName;
+}
+
+/**
+ * find the relationship from an element to the element of an entity, in the data model or in the helper elements
+ * added by previous filters
+ * @param {string} elementId - id of the element the relationship starts from
+ * @param {string} entityName - entity name (id of the related element)
+ * @param {string} primaryElementId - id of the primary element (helpers without sourceElementId start from it)
+ * @param {Object} options - conversion options (options.elements, options.helperElements)
+ * @returns {Object|null} relationship or null if the elements are not related
+ */
+function findRelationship(elementId, entityName, primaryElementId, options) {
+  const element = (options.elements || []).find(el => el.id === elementId);
+  const relationship = element?.relationships?.find(rel => rel.targetElementId === entityName);
+  if (relationship) {
+    return relationship;
+  }
+
+  const helper = (options.helperElements || []).find(h =>
+    h.relationship?.targetElementId === entityName && (h.sourceElementId || primaryElementId) === elementId);
+  return helper ? helper.relationship : null;
+}
+
+/**
+ * add the element of an entity related to an element sourced from another Sigma data model
+ * the element and relationship are copied from the Sigma data model of the related element's semantic model
+ * (e.g. the customer element and order -> customer relationship of the orders data model)
+ * @param {string} elementId - id of the element the relationship starts from (entity of the related semantic model)
+ * @param {string} entityName - foreign entity of the related semantic model
+ * @param {Object} options - conversion options (options.sigmaModelDir, options.metricRegistry, options.helperElements)
+ * @returns {Object|null} added relationship or null if the related Sigma data model has no such relationship
+ */
+function addRelatedEntityElement(elementId, entityName, options) {
+  if (!options.sigmaModelDir) {
+    return null;
+  }
+
+  const sigmaModelPath = sanitizePath(`${findEntitySemanticModelName(elementId, options)}.yml`, options.sigmaModelDir);
+  if (!fs.existsSync(sigmaModelPath)) {
+    return null;
+  }
+
+  const sigmaModelData = yaml.load(fs.readFileSync(sigmaModelPath, 'utf8'));
+  const sigmaElements = sigmaModelData.pages?.[0]?.elements || [];
+  const sourceRelationship = sigmaElements[0]?.relationships?.find(rel => rel.targetElementId === entityName);
+  const sourceElement = sigmaElements.find(el => el.id === entityName);
+  if (!sourceRelationship || sourceElement?.source?.kind !== 'data-model') {
+    return null;
+  }
+
+  // the related element may already be in the data model (e.g. foreign entity of the current semantic model)
+  const existingElement = (options.elements || []).some(el => el.id === entityName)
+    || (options.helperElements || []).some(h => h.element?.id === entityName);
+
+  const relationship = {
+    id: `${elementId}__${entityName}`,
+    name: `${elementId}__${entityName}`,
+    targetElementId: entityName,
+    keys: sourceRelationship.keys,
+    relationshipType: 'N:1'
+  };
+
+  options.helperElements.push({
+    element: existingElement
+      ? null
+      : buildDataModelElement(entityName, sourceElement.source.dataModelId, sourceElement.source.elementId, sourceElement.columns),
+    relationship,
+    columns: [],
+    sourceElementId: elementId
+  });
+
+  return relationship;
+}
+
+/**
+ * resolve a dimension reference with an entity path to the Sigma column it refers to
+ * dimensions of the semantic model (the first entity is the primary entity or a local entity) are columns of the
+ * primary element, dimensions of other entities are referenced through the relationships of the data model:
+ *   orders: order__status -> [status]
+ *   orders: customer__region -> [customer/region]
+ *   order_items: order__customer__region -> [order/customer/region]
+ * relationships beyond the foreign entities of the semantic model are copied from the Sigma data models of the
+ * related semantic models and added to the data model as helper elements.
+ * @param {Array<string>} entityPath - entities leading to the dimension (e.g. ['order', 'customer'])
+ * @param {string} dimensionName - dimension name
+ * @param {Object} metricContext - {semanticModel, options} of the metric whose filter is converted
+ * @returns {string} Sigma column reference
+ * @throws {Error} if no relationship path to the dimension exists
+ */
+function resolveDimensionColumn(entityPath, dimensionName, metricContext) {
+  const { semanticModel, options = {} } = metricContext;
+  const primaryElementId = semanticModel.entities?.find(e => e.type === 'primary')?.name;
+  const [firstEntity, ...otherEntities] = entityPath;
+
+  // dimensions of the semantic model itself
+  const localEntity = semanticModel.entities?.find(e => e.name === firstEntity && e.type !== 'foreign');
+  const isLocal = firstEntity === primaryElementId || firstEntity === semanticModel.name
+    || (localEntity && !findRelationship(primaryElementId, firstEntity, primaryElementId, options));
+  if (isLocal && otherEntities.length === 0) {
+    return `[${dimensionName}]`;
+  }
+
+  const elementPath = [];
+  let currentElementId = primaryElementId;
+  for (const entityName of isLocal ? otherEntities : entityPath) {
+    const relationship = findRelationship(currentElementId, entityName, primaryElementId, options)
+      || (currentElementId !== primaryElementId && addRelatedEntityElement(currentElementId, entityName, options));
+    if (!relationship) {
+      throw new Error(`No relationship path from ${semanticModel.name} to ${[...entityPath, dimensionName].join('__')}: element ${currentElementId} is not related to entity ${entityName}`);
+    }
+    elementPath.push(entityName);
+    currentElementId = entityName;
+  }
+
+  return `[${elementPath.join('/')}/${dimensionName}]`;
+}
+
+module.exports = {
+  resolveDimensionColumn
+};
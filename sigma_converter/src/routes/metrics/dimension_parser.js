@@ -2,97 +2,126 @@ const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '../../../.env') });
 
 const { convertToUserFriendlyName } = require('../dimensions/utils/convertToUserFriendlyName');
+const { parseExpression } = require('../sql');
 
-// Shared regex pattern for matching Dimension('dimension_ref') in filter strings
-const DIMENSION_REF_PATTERN = /Dimension\(['"]([^'"]+)['"]\)/g;
+// Jinja references of filters that are collected
+const REFERENCE_KINDS = ['Dimension', 'TimeDimension', 'Entity', 'Metric'];
 
 /**
- * Find all dimension references in a string
- * @param {string} str - string to search for dimension references
- * @returns {Array<string>} array of dimension reference strings (e.g., 'modelname__dimensionname')
+ * collect the reference nodes of an AST
+ * @param {Object|Array} node - AST node returned by parseExpression (or a list of nodes)
+ * @returns {Array<Object>} reference AST nodes in the order they are written
+ */
+function collectReferenceNodes(node) {
+  if (Array.isArray(node)) {
+    return node.flatMap(collectReferenceNodes);
+  }
+  if (!node || typeof node !== 'object') {
+    return [];
+  }
+  if (node.type === 'reference') {
+    return [node];
+  }
+  return Object.values(node).flatMap(collectReferenceNodes);
+}
+
+/**
+ * Find all dimension, time dimension, entity and metric references in a filter string
+ * the filter is parsed (see routes/sql/parse.js), so references written inside strings and comments are not references
+ * example: {{ Dimension('order__status') }} = 'Dimension(''x'')' -> [{kind: 'Dimension', ref: 'order__status'}]
+ * @param {string} str - filter string to search for references
+ * @returns {Array<Object>} array of references {kind, ref} (e.g., {kind: 'Dimension', ref: 'modelname__dimensionname'}),
+ *   empty if the filter cannot be parsed (its conversion reports the error)
  */
 function findDimensionReferences(str) {
-  const matches = str.match(DIMENSION_REF_PATTERN);
-  if (!matches) {
+  let ast;
+  try {
+    ast = parseExpression(str);
+  } catch (error) {
     return [];
   }
-  return matches.map(m => m.match(/['"]([^'"]+)['"]/)[1]);
+  return collectReferenceNodes(ast)
+    .filter(node => REFERENCE_KINDS.includes(node.kind) && node.args.length > 0)
+    .map(node => ({ kind: node.kind, ref: String(node.args[0]) }));
 }
 
 /**
- * parse dimension reference string (format: modelname__dimensionname)
+ * parse dimension reference string (format: entityname__dimensionname)
+ * the entity path holds the entities leading to the dimension, e.g. order__customer__region is the region of the
+ * customer of the order: {modelName: 'order', dimensionName: 'region', entityPath: ['order', 'customer']}
  * @param {string} dimRef - dimension reference string
- * @returns {Object} object with modelName and dimensionName
+ * @returns {Object} object with modelName (first entity), dimensionName and entityPath
  */
 function parseDimensionReference(dimRef) {
 
   const parts = dimRef.split('__');
 
-  userFriendlyColumnNameFlag = process.env.USER_FRIENDLY_COLUMN_NAMES;
-
-  if (parts.length >= 2) {
-
-    // if process.env.USER_FRIENDLY_COLUMN_NAMES is true, convert the dimension name to a user friendly name
-    // userFriendlyDimensionName = userFriendlyColumnNameFlag === 'true' 
-    // ? convertToUserFriendlyName(parts[1]) 
-    // : parts[1];
-
-    userFriendlyDimensionName = parts[1];
-
+  // if no __ separator, assume it's just a dimension name in current model
+  if (parts.length < 2) {
     return {
-      modelName: parts[0],
-      dimensionName: userFriendlyDimensionName
+      modelName: null,
+      dimensionName: dimRef,
+      entityPath: []
     };
-
   }
 
-  // if no __ separator, assume it's just a dimension name in current model
-
-  // userFriendlyDimensionName = userFriendlyColumnNameFlag === 'true' 
-  // ? convertToUserFriendlyName(dimRef) 
-  // : dimRef;
-
-  userFriendlyDimensionName = dimRef;
-
   return {
-    modelName: null,
-    dimensionName: userFriendlyDimensionName
+    modelName: parts[0],
+    dimensionName: parts[parts.length - 1],
+    entityPath: parts.slice(0, -1)
   };
 
 }
 
 /**
- * each metric has a type_params property that contains an array of input metrics
- * each input metric may have a filter property that contains a dimension reference
- * extract all dimension references from the filter property of each input metric
- * the format is {{ Dimension('modelname__dimensionname') }} in ('value1','value2',...)
+ * collect the filters of a metric: the metric-level filter and the filters of its inputs
+ * (type_params.metrics, measure, numerator, denominator and conversion measures)
  * @param {Object} metric - metric object
- * @returns {Array<string>} array of dimension reference strings
+ * @returns {Array<string>} filter strings
+ */
+function collectMetricFilters(metric) {
+  const typeParams = metric.type_params || {};
+  const conversionParams = typeParams.conversion_type_params || {};
+  const inputs = [
+    ...(typeParams.metrics || []),
+    typeParams.measure,
+    typeParams.numerator,
+    typeParams.denominator,
+    conversionParams.base_measure,
+    conversionParams.conversion_measure
+  ];
+
+  return [metric, ...inputs]
+    .filter(input => input && typeof input === 'object' && input.filter)
+    .flatMap(input => (Array.isArray(input.filter) ? input.filter : [input.filter]))
+    .map(filter => (typeof filter === 'string' ? filter : JSON.stringify(filter)));
+}
+
+/**
+ * extract all dimension, time dimension, entity and metric references from the filters of a metric and its inputs
+ * the format is {{ Dimension('modelname__dimensionname') }} in ('value1','value2',...),
+ * {{ TimeDimension('modelname__dimensionname', 'month') }} >= '2024-01-01', {{ Entity('entityname') }} is not null
+ * or {{ Metric('metricname', group_by=['entityname']) }} > 1000
+ * @param {Object} metric - metric object
+ * @returns {Array<Object>} array of references {kind, entityName, dimensionName, metricName}
+ *   (dimensionName is null for entities and metrics, entityName is null for metrics)
  */
 function extractDimensionReferences(metric) {
-  const refs = [];
-  
-  // check filters within metric references
-  if (metric.type_params?.metrics) {
-    for (const refMetric of metric.type_params.metrics) {
-      if (refMetric.filter) {
-        const filterStr = typeof refMetric.filter === 'string' 
-          ? refMetric.filter 
-          : JSON.stringify(refMetric.filter);
-        const dimRefs = findDimensionReferences(filterStr);
-        if (dimRefs.length > 0) {
-          refs.push(...dimRefs);
-        }
+  return collectMetricFilters(metric)
+    .flatMap(findDimensionReferences)
+    .map(({ kind, ref }) => {
+      if (kind === 'Metric') {
+        return { kind, entityName: null, dimensionName: null, metricName: ref };
       }
-    }
-  }
-  
-  return refs;
-
+      if (kind === 'Entity') {
+        return { kind, entityName: ref, dimensionName: null };
+      }
+      const { modelName, dimensionName } = parseDimensionReference(ref);
+      return { kind, entityName: modelName, dimensionName };
+    });
 }
 
 module.exports = {
-  DIMENSION_REF_PATTERN,
   findDimensionReferences,
   parseDimensionReference,
   extractDimensionReferences
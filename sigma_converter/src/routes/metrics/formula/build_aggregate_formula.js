@@ -0,0 +1,64 @@
+/**
+ * build the Sigma filter restricting a semi-additive measure to the rows at the first or last date of its
+ * non-additive dimension, among the rows matching the filter of the measure
+ * examples:
+ *   {column: '[balance_at]', windowChoice: 'max'} -> [balance_at] = max([balance_at])
+ *   with filter [region] = 'EU' -> ([region] = 'EU') and ([balance_at] = maxif([balance_at],[region] = 'EU'))
+ * @param {Object} nonAdditive - non-additive dimension {column, windowChoice} returned by getNonAdditiveParams
+ * @param {string|null} filter - Sigma filter expression or null
+ * @returns {string} Sigma filter expression
+ */
+function buildNonAdditiveFilter(nonAdditive, filter) {
+  const { column, windowChoice } = nonAdditive;
+  if (!filter) {
+    return `${column} = ${windowChoice}(${column})`;
+  }
+  return `(${filter}) and (${column} = ${windowChoice}if(${column},${filter}))`;
+}
+
+/**
+ * build the Sigma aggregate formula for an aggregate function, optionally restricted to rows matching a filter
+ * sum, avg, min, max, count and count_distinct use the Sigma *If functions (e.g. sumif([expr],filter)),
+ * other aggregations aggregate an If expression that is null for rows not matching the filter.
+ * sum and count of a numeric literal (e.g. expr: 1) count rows.
+ * semi-additive measures (aggParams.nonAdditive) are restricted to the rows at the first or last date of their
+ * non-additive dimension, e.g. sumif([balance],[balance_at] = max([balance_at])).
+ * @param {string} aggFunc - aggregate function returned by getAggFunc
+ * @param {string} measureExpr - Sigma expression of the measure (e.g., "[amount]")
+ * @param {Object|null} aggParams - aggregation parameters returned by getAggFunc
+ * @param {string|null} filter - Sigma filter expression or null
+ * @returns {string} Sigma formula
+ */
+function buildAggregateFormula(aggFunc, measureExpr, aggParams, filter = null) {
+  if (aggParams?.nonAdditive) {
+    filter = buildNonAdditiveFilter(aggParams.nonAdditive, filter);
+  }
+  const column = measureExpr;
+  const filteredColumn = filter ? `If(${filter}, ${column})` : column;
+
+  // row counts (e.g. agg: sum, expr: 1)
+  if (['sum', 'count'].includes(aggFunc) && /^\d+(\.\d+)?$/.test(String(measureExpr))) {
+    const rowCount = filter ? `countif(${filter})` : 'count()';
+    return aggFunc === 'sum' && Number(measureExpr) !== 1 ? `${rowCount} * ${measureExpr}` : rowCount;
+  }
+
+  switch (aggFunc) {
+    case 'percentilecont':
+    case 'percentiledisc':
+      return `${aggFunc}(${filteredColumn}, ${aggParams.percentile})`;
+    case 'median':
+      return `median(${filteredColumn})`;
+    case 'sum_boolean':
+      // booleans are summed as 1 (true) and 0 (false)
+      return filter ? `sumif(If(${column}, 1, 0),${filter})` : `sum(If(${column}, 1, 0))`;
+    case 'count':
+      // for countif, Sigma does not accept the measure being counted as a parameter
+      return filter ? `countif(${filter})` : `count(${column})`;
+    default:
+      return filter ? `${aggFunc}if(${column},${filter})` : `${aggFunc}(${column})`;
+  }
+}
+
+module.exports = {
+  buildAggregateFormula
+};
@@ -0,0 +1,212 @@
+const { convertFilterToSigma } = require('../../filter/filter_converter');
+const { combineFilters } = require('../../filter/filter_utils');
+const { findAggTimeDimension, parseWindow } = require('../../time');
+const { buildGroupedHelperElement, buildHelperRelationship } = require('../helper_elements');
+const { convertMeasureExpr } = require('./build_formula_object');
+const { reportUnsupportedFeature } = require('../unsupported_features');
+
+const SUPPORTED_CALCULATIONS = ['conversion_rate', 'conversions'];
+
+/**
+ * read conversion type params from a dbt metric
+ * @param {Object} metric - dbt conversion metric
+ * @returns {Object} object with baseMeasure, conversionMeasure, entity, window, calculation and constantProperties
+ */
+function getConversionTypeParams(metric) {
+  const conversionTypeParams = metric.type_params?.conversion_type_params || {};
+
+  return {
+    baseMeasure: conversionTypeParams.base_measure,
+    conversionMeasure: conversionTypeParams.conversion_measure,
+    entity: conversionTypeParams.entity,
+    window: conversionTypeParams.window || null,
+    calculation: conversionTypeParams.calculation || 'conversion_rate',
+    constantProperties: conversionTypeParams.constant_properties || []
+  };
+}
+
+/**
+ * build the row-level Sigma formula returning the event time when the row is an event of the measure
+ * a row is an event when the measure expression is not null, the measure input filter (if any) is true and the
+ * filter of the metric (if any) is true
+ * example: measure {expr: buy_id}, agg_time_dimension ordered_at -> If(IsNotNull([buy_id]), [ordered_at])
+ * @param {Object} measure - measure object
+ * @param {string|Object} measureRef - measure reference from conversion type params (name or {name, filter})
+ * @param {string} timeDimension - agg_time_dimension of the measure
+ * @param {string|Array<string>|undefined} metricFilter - filter of the conversion metric
+ * @param {Object} metricContext - {semanticModel, allMetrics, options, convertMetricToSigma} used by the filters
+ * @returns {string} Sigma formula
+ * @throws {Error} if a filter cannot be converted
+ */
+function buildEventTimeFormula(measure, measureRef, timeDimension, metricFilter, metricContext) {
+  let condition = null;
+
+  // literal expressions (e.g. expr: 1) make every row an event
+  const measureExpr = convertMeasureExpr(measure, metricContext.options);
+  if (measure.expr && !/^\d+(\.\d+)?$/.test(measureExpr)) {
+    condition = `IsNotNull(${measureExpr})`;
+  }
+
+  if (typeof measureRef === 'object' && measureRef.filter) {
+    condition = combineFilters(condition, convertFilterToSigma(measureRef.filter, metricContext.semanticModel.name, metricContext));
+  }
+  if (metricFilter) {
+    condition = combineFilters(condition, convertFilterToSigma(metricFilter, metricContext.semanticModel.name, metricContext));
+  }
+
+  return condition ? `If(${condition}, [${timeDimension}])` : `[${timeDimension}]`;
+}
+
+/**
+ * build Sigma formula and helper element for a conversion metric (type: conversion)
+ *
+ * a single Sigma metric cannot match base and conversion events of the same entity, so the conversion is computed
+ * on a helper element grouped by the entity:
+ *   - helper columns on the primary element return the event time for base and conversion events
+ *   - the helper element takes the first base event and first conversion event per entity and flags the entity
+ *     as converted when the conversion happens after the base event and within the window
+ *   - the metric on the primary element counts converted entities through the relationship to the helper element
+ *
+ * conversions are counted per entity (first base event, first conversion event), not per base event as in dbt:
+ * repeated base events of an entity and conversions preceding its first base event are not matched. with a window,
+ * an entity whose first conversion falls outside the window of its first base event is not converted even if a
+ * later base event is followed by a conversion within the window, so the metric is converted with this
+ * approximation and reported as conversion.event_matching.
+ * the filter of the metric applies to base and conversion events.
+ * constant_properties cannot be represented and are reported as unsupported.
+ * @param {Object} metric - dbt conversion metric
+ * @param {Object} semanticModel - semantic model object
+ * @param {Object} options - conversion options
+ * @param {Array<Object>} options.unsupportedFeatures - collected unsupported features
+ * @param {Array} allMetrics - array of all metrics (for Metric references in filters)
+ * @param {Function} convertMetricToSigma - function to convert metric to Sigma (to handle circular dependency)
+ * @returns {Object|null} object with formula and helper {element, relationship, columns} or null if the metric cannot be converted
+ */
+function buildConversionFormula(metric, semanticModel, options = {}, allMetrics = [], convertMetricToSigma = null) {
+  const { baseMeasure, conversionMeasure, entity, window, calculation, constantProperties } = getConversionTypeParams(metric);
+  const report = (feature, reason) => reportUnsupportedFeature(options, {
+    semanticModel: semanticModel.name,
+    metric: metric.name,
+    feature,
+    reason
+  });
+
+  if (constantProperties.length > 0) {
+    report('conversion.constant_properties', 'matching base and conversion events on constant properties cannot be represented in Sigma');
+    return null;
+  }
+
+  if (!SUPPORTED_CALCULATIONS.includes(calculation)) {
+    report('conversion.calculation', `calculation '${calculation}' is not supported`);
+    return null;
+  }
+
+  const baseMeasureName = typeof baseMeasure === 'string' ? baseMeasure : baseMeasure?.name;
+  const conversionMeasureName = typeof conversionMeasure === 'string' ? conversionMeasure : conversionMeasure?.name;
+  const baseMeasureObj = semanticModel.measures?.find(m => m.name === baseMeasureName);
+  const conversionMeasureObj = semanticModel.measures?.find(m => m.name === conversionMeasureName);
+  if (!baseMeasureObj || !conversionMeasureObj) {
+    report('conversion.measures', `base measure '${baseMeasureName}' and conversion measure '${conversionMeasureName}' must both be in semantic model ${semanticModel.name}`);
+    return null;
+  }
+
+  const entityObj = semanticModel.entities?.find(e => e.name === entity);
+  if (!entityObj) {
+    report('conversion.entity', `entity '${entity}' not found in semantic model ${semanticModel.name}`);
+    return null;
+  }
+
+  const baseTimeDimension = findAggTimeDimension(baseMeasureObj, semanticModel);
+  const conversionTimeDimension = findAggTimeDimension(conversionMeasureObj, semanticModel);
+  if (!baseTimeDimension || !conversionTimeDimension) {
+    report('conversion.agg_time_dimension', 'base and conversion measures need an agg_time_dimension');
+    return null;
+  }
+
+  let parsedWindow = null;
+  if (window) {
+    parsedWindow = parseWindow(window);
+    if (!parsedWindow) {
+      report('conversion.window', `window '${JSON.stringify(window)}' cannot be parsed`);
+      return null;
+    }
+  }
+
+  const primaryEntity = semanticModel.entities.find(e => e.type === 'primary');
+  const primaryElementName = primaryEntity.name;
+  const entityColumnId = `${semanticModel.name}__${entity}`;
+  const helperId = `${metric.name}__conversion`;
+
+  // helper columns on the primary element
+  const metricContext = { semanticModel, allMetrics, options, convertMetricToSigma };
+  const baseAtColumnId = `${helperId}__base_event_at`;
+  const conversionAtColumnId = `${helperId}__conversion_event_at`;
+  const columns = [
+    {
+      id: baseAtColumnId,
+      name: baseAtColumnId,
+      description: `Base event time of conversion metric ${metric.name}`,
+      formula: buildEventTimeFormula(baseMeasureObj, baseMeasure, baseTimeDimension, metric.filter, metricContext)
+    },
+    {
+      id: conversionAtColumnId,
+      name: conversionAtColumnId,
+      description: `Conversion event time of conversion metric ${metric.name}`,
+      formula: buildEventTimeFormula(conversionMeasureObj, conversionMeasure, conversionTimeDimension, metric.filter, metricContext)
+    }
+  ];
+
+  // helper element grouped by entity
+  const helperEntityColumnId = `${helperId}__${entity}`;
+  const firstBaseColumnId = `${helperId}__first_base_at`;
+  const firstConversionColumnId = `${helperId}__first_conversion_at`;
+  const convertedColumnId = `${helperId}__converted`;
+
+  let convertedFormula = `IsNotNull([${firstBaseColumnId}]) and [${firstConversionColumnId}] >= [${firstBaseColumnId}]`;
+  if (parsedWindow) {
+    convertedFormula += ` and [${firstConversionColumnId}] <= DateAdd('${parsedWindow.datePart}', ${parsedWindow.count}, [${firstBaseColumnId}])`;
+  }
+
+  const element = buildGroupedHelperElement({
+    id: helperId,
+    description: `Conversion of ${entity} from ${baseMeasureName} to ${conversionMeasureName} for metric ${metric.name}`,
+    sourceElementId: primaryElementName,
+    groupByColumns: [{
+      id: helperEntityColumnId,
+      name: helperEntityColumnId,
+      formula: `[${primaryElementName}/${entityColumnId}]`
+    }],
+    calculationColumns: [
+      { id: firstBaseColumnId, name: firstBaseColumnId, formula: `Min([${primaryElementName}/${baseAtColumnId}])` },
+      { id: firstConversionColumnId, name: firstConversionColumnId, formula: `Min([${primaryElementName}/${conversionAtColumnId}])` },
+      { id: convertedColumnId, name: convertedColumnId, formula: convertedFormula }
+    ]
+  });
+
+  const relationship = buildHelperRelationship(primaryElementName, element, [{
+    sourceColumnId: entityColumnId,
+    targetColumnId: helperEntityColumnId
+  }]);
+
+  // dbt matches each base event with the next conversion event of the entity within the window, which differs from
+  // matching the first events of the entity when a later base event converts within the window
+  if (parsedWindow) {
+    report('conversion.event_matching', `converted per ${entity}: the first ${conversionMeasureName} event is matched with the `
+      + `first ${baseMeasureName} event, so conversions within the window of a later base event are not counted`);
+  }
+
+  // metric formula on the primary element
+  const conversionsFormula = `CountDistinct(If([${helperId}/${convertedColumnId}], [${entityColumnId}]))`;
+  const formula = calculation === 'conversions'
+    ? conversionsFormula
+    : `(${conversionsFormula}) / (CountDistinct(If(IsNotNull([${helperId}/${firstBaseColumnId}]), [${entityColumnId}])))`;
+
+  return {
+    formula,
+    helper: { element, relationship, columns }
+  };
+}
+
+module.exports = {
+  buildConversionFormula
+};
@@ -0,0 +1,129 @@
+const { reportUnsupportedFeature } = require('../unsupported_features');
+const { buildMeasureFormula, buildMeasureFormulaWithSigmaFilter } = require('./build_formula_object');
+const { GRANULARITY_DATE_PARTS, findAggTimeDimension, findTimeSpineReference, parseWindow } = require('../../time');
+
+/**
+ * read cumulative type params from a dbt metric
+ * supports both type_params.cumulative_type_params (dbt >= 1.9) and the legacy type_params.window / type_params.grain_to_date
+ * @param {Object} metric - dbt cumulative metric
+ * @returns {Object} object with window, grainToDate and periodAgg
+ */
+function getCumulativeTypeParams(metric) {
+  const typeParams = metric.type_params || {};
+  const cumulativeTypeParams = typeParams.cumulative_type_params || {};
+
+  return {
+    window: cumulativeTypeParams.window || typeParams.window || null,
+    grainToDate: cumulativeTypeParams.grain_to_date || typeParams.grain_to_date || null,
+    periodAgg: cumulativeTypeParams.period_agg || 'first'
+  };
+}
+
+// aggregations whose values can be added up across metric_time periods
+const ADDITIVE_AGG_FUNCS = ['sum', 'count', 'sum_boolean'];
+
+/**
+ * build the Sigma formula of a window ending at each metric_time period, e.g. the last 7 days
+ * the window adds up the aggregate of the period and of the previous periods looked back on the time spine,
+ * so it is computed when the metric is grouped by the time spine column at the window's date part.
+ * periods without rows look back to null and count as 0. the sum is parenthesized to be used in expressions.
+ * example: sum([amount]), 3 days
+ *   -> (sum([amount]) + Coalesce(DateLookback(sum([amount]), [time_spine_day/ts_day__date_day], 1, 'day'), 0)
+ *      + Coalesce(DateLookback(sum([amount]), [time_spine_day/ts_day__date_day], 2, 'day'), 0))
+ * @param {string} formula - Sigma aggregate formula of the measure
+ * @param {Object} parsedWindow - window {count, datePart} returned by parseWindow
+ * @param {string} dateFormula - Sigma formula of the time spine column
+ * @returns {string} Sigma formula
+ */
+function buildWindowFormula(formula, parsedWindow, dateFormula) {
+  const lookbacks = [];
+  for (let offset = 1; offset < parsedWindow.count; offset++) {
+    lookbacks.push(`Coalesce(DateLookback(${formula}, ${dateFormula}, ${offset}, '${parsedWindow.datePart}'), 0)`);
+  }
+  return lookbacks.length > 0 ? `(${[formula, ...lookbacks].join(' + ')})` : formula;
+}
+
+/**
+ * build Sigma formula object for a cumulative metric (type: cumulative)
+ *
+ * dbt computes a cumulative metric for each metric_time period over a window ending at the period:
+ *   - window: the last periods of the window, added up with DateLookback on the time spine (see buildWindowFormula)
+ *   - grain_to_date: the periods since the start of the grain, with CumulativeSum, which restarts at each group of
+ *     the higher grouping levels (e.g. group by the month, then by the date)
+ *   - neither: all periods up to the period, with CumulativeSum
+ * CumulativeSum follows the order of the groups, sorted by the time spine column.
+ * only additive aggregations (sum, count) can be added up across periods; other measures are reported.
+ * period_agg first and average pick the first or average daily value within a coarser period, whereas Sigma computes
+ * the value at the end of the period (period_agg last), so these metrics are reported as cumulative.period_agg.
+ * examples:
+ *   window: 7 days       -> (sum([amount]) + Coalesce(DateLookback(sum([amount]), [time_spine_day/ts_day__date_day], 1, 'day'), 0) + ...)
+ *   grain_to_date: month -> CumulativeSum(sum([amount]))
+ * @param {Object} metric - dbt cumulative metric
+ * @param {Object} semanticModel - semantic model object
+ * @param {string|null} metricFilter - Sigma filter applied to the measure (filter of the metric and inherited filters)
+ * @param {Object} options - conversion options
+ * @param {string} options.timeSpineFile - _models.yml file for time spine models (used by windows)
+ * @param {Array<Object>} options.unsupportedFeatures - collected unsupported features
+ * @returns {Object|null} {formula} or null if the metric cannot be converted
+ */
+function buildCumulativeFormula(metric, semanticModel, metricFilter = null, options = {}) {
+  const cumulativeTypeParams = getCumulativeTypeParams(metric);
+  const { window, grainToDate, periodAgg } = cumulativeTypeParams;
+
+  const report = (feature, reason) => reportUnsupportedFeature(options, {
+    semanticModel: semanticModel.name,
+    metric: metric.name,
+    feature,
+    reason
+  });
+
+  const measureRef = metric.type_params.measure;
+  const measureName = typeof measureRef === 'string' ? measureRef : measureRef.name;
+  const measure = semanticModel.measures?.find(m => m.name === measureName);
+  if (!measure) {
+    report('cumulative', `measure '${measureName}' not found in semantic model '${semanticModel.name}'`);
+    return null;
+  }
+
+  const measureFormulaObject = metricFilter
+    ? buildMeasureFormulaWithSigmaFilter(measure, metricFilter, options)
+    : buildMeasureFormula(measure, options);
+  if (!ADDITIVE_AGG_FUNCS.includes(measureFormulaObject.aggFunc) || measureFormulaObject.aggParams?.nonAdditive) {
+    report('cumulative', `measure '${measureName}' (agg ${measure.agg}${measure.non_additive_dimension ? ', non_additive_dimension' : ''}) `
+      + 'cannot be added up across metric_time periods');
+    return null;
+  }
+  const formula = measureFormulaObject.formula;
+
+  let cumulativeFormula;
+  if (window) {
+    const parsedWindow = parseWindow(window);
+    if (!parsedWindow) {
+      report('cumulative', `window '${typeof window === 'object' ? JSON.stringify(window) : window}' cannot be parsed`);
+      return null;
+    }
+    const timeSpineReference = findTimeSpineReference(semanticModel, findAggTimeDimension(measure, semanticModel), options.timeSpineFile);
+    if (!timeSpineReference) {
+      report('cumulative', `no time_spine relationship found for the agg_time_dimension of measure '${measureName}'`);
+      return null;
+    }
+    cumulativeFormula = buildWindowFormula(formula, parsedWindow, timeSpineReference.formula);
+  } else {
+    if (grainToDate && !GRANULARITY_DATE_PARTS[String(grainToDate).toLowerCase()]) {
+      report('cumulative', `grain_to_date '${grainToDate}' is not supported`);
+      return null;
+    }
+    cumulativeFormula = `CumulativeSum(${formula})`;
+  }
+
+  if (periodAgg !== 'last') {
+    report('cumulative.period_agg', `period_agg ${periodAgg} is computed at the end of each period (period_agg last) `
+      + 'when the metric is grouped by a coarser grain than the time spine');
+  }
+
+  return { formula: cumulativeFormula };
+}
+
+module.exports = {
+  buildCumulativeFormula
+};
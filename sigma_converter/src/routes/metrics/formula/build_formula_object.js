@@ -2,62 +2,119 @@ const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '../../../.env') });
 
 const { convertFilterToSigma } = require('../../filter/filter_converter');
-const { convertToUserFriendlyName } = require('../../dimensions/utils/convertToUserFriendlyName');
+const { convertExpressionToSigma } = require('../../dimensions/formula/build_sigma_formula');
+const { buildAggregateFormula } = require('./build_aggregate_formula');
+
+// Sigma aggregate functions for dbt measure aggregations
+// percentile, median and sum_boolean are built by buildAggregateFormula
+const AGG_FUNCS = {
+  count_distinct: 'countdistinct',
+  sum: 'sum',
+  count: 'count',
+  avg: 'avg',
+  min: 'min',
+  max: 'max',
+  median: 'median',
+  sum_boolean: 'sum_boolean'
+};
 
 /**
- * build formula string from measure properties
+ * get the Sigma aggregate function and its parameters for a measure
  * @param {Object} measure - measure object
- * @returns {Object} formula object containing the Sigma formula and constituent parts of the formula {formula, aggFunc, measureExpr, existingFilter}
+ * @param {Object} options - conversion options (options.dialect is the SQL dialect of the measure)
+ * @returns {Object} object with aggFunc and aggParams (null if the aggregation has no parameters)
+ * @throws {Error} if the aggregation is not supported or its parameters are invalid
  */
-function buildMeasureFormula(measure) {
-  const { agg, expr } = measure;
+function getAggFunc(measure, options = {}) {
+  const { agg } = measure;
+  const nonAdditive = getNonAdditiveParams(measure, options);
+
+  if (agg === 'percentile') {
+    const percentile = Number(measure.agg_params?.percentile);
+    if (measure.agg_params?.percentile === undefined || isNaN(percentile) || percentile < 0 || percentile > 1) {
+      throw new Error(`Measure '${measure.name}' with agg percentile needs agg_params.percentile between 0 and 1`);
+    }
+    return {
+      aggFunc: measure.agg_params.use_discrete_percentile ? 'percentiledisc' : 'percentilecont',
+      aggParams: { percentile, ...(nonAdditive && { nonAdditive }) }
+    };
+  }
 
-  userFriendlyColumnNameFlag = process.env.USER_FRIENDLY_COLUMN_NAMES;
+  if (!AGG_FUNCS[agg]) {
+    throw new Error(`Unsupported aggregation '${agg}' in measure '${measure.name}'`);
+  }
 
-  // if process.env.USER_FRIENDLY_COLUMN_NAMES is true, convert the measure name to a user friendly name
-  // const userFriendlyExpr = userFriendlyColumnNameFlag === 'true' 
-  // ? convertToUserFriendlyName(expr) 
-  // : expr;
+  return { aggFunc: AGG_FUNCS[agg], aggParams: nonAdditive ? { nonAdditive } : null };
+}
 
-  const userFriendlyExpr = expr;
-  
-  let aggFunc;
-  let formula;
-  switch (agg) {
-    case 'count_distinct':
-      aggFunc = 'countdistinct';
-      formula = `countdistinct([${userFriendlyExpr}])`;
-      break;
-    case 'sum':
-      aggFunc = 'sum';
-      formula = `sum([${userFriendlyExpr}])`;
-      break;
-    case 'count':
-      aggFunc = 'count';
-      formula = `count([${userFriendlyExpr}])`;
-      break;
-    case 'avg':
-      aggFunc = 'avg';
-      formula = `avg([${userFriendlyExpr}])`;
-      break;
-    case 'min':
-      aggFunc = 'min';
-      formula = `min([${userFriendlyExpr}])`;
-      break;
-    case 'max':
-      aggFunc = 'max';
-      formula = `max([${userFriendlyExpr}])`;
-      break;
-    default:
-      aggFunc = agg;
-      formula = `${aggFunc}([${userFriendlyExpr}])`;
+/**
+ * get the non-additive dimension of a semi-additive measure
+ * semi-additive measures (non_additive_dimension) only aggregate the rows at the first (window_choice: min, the
+ * default) or last (max) date of the non-additive dimension within each queried group, e.g. the balance on the
+ * last day of each month. buildAggregateFormula restricts the aggregation to these rows with a conditional aggregate.
+ * example: {name: 'balance_at', window_choice: 'max'} -> {column: '[balance_at]', windowChoice: 'max'}
+ * @param {Object} measure - measure object
+ * @param {Object} options - conversion options (options.dialect is the SQL dialect of the measure)
+ * @returns {Object|null} {column, windowChoice} or null if the measure is additive
+ * @throws {Error} if the window choice is invalid or the measure has window_groupings
+ */
+function getNonAdditiveParams(measure, options = {}) {
+  const nonAdditiveDimension = measure.non_additive_dimension;
+  if (!nonAdditiveDimension) {
+    return null;
+  }
+
+  const dimensionName = typeof nonAdditiveDimension === 'string' ? nonAdditiveDimension : nonAdditiveDimension.name;
+  const windowChoice = String(nonAdditiveDimension.window_choice || 'min').toLowerCase();
+  if (!['min', 'max'].includes(windowChoice)) {
+    throw new Error(`Measure '${measure.name}' has window_choice '${nonAdditiveDimension.window_choice}', expected min or max`);
   }
+  // the first or last date per entity within each queried group would need a grouping the Sigma metric does not have
+  if (nonAdditiveDimension.window_groupings?.length > 0) {
+    throw new Error(`Measure '${measure.name}' is semi-additive per ${nonAdditiveDimension.window_groupings.join(', ')} (window_groupings), which cannot be represented by a Sigma metric`);
+  }
+
+  // the dimension column is referenced like the columns of measure expressions
+  return { column: convertExpressionToSigma(dimensionName, options.dialect), windowChoice };
+}
+
+/**
+ * convert the expr of a measure to a Sigma expression with the SQL-to-Sigma conversion used for dimensions
+ * measures without expr aggregate the column with the measure's name (as in dbt)
+ * examples: amount -> [amount], 1 -> 1, case when is_won then amount end -> If([is_won], [amount])
+ * measures with a sigmaExpr (e.g. measures of related elements in the metrics hub) are already converted
+ * @param {Object} measure - measure object
+ * @param {Object} options - conversion options (options.dialect is the SQL dialect of the expression, Snowflake by default)
+ * @returns {string} Sigma expression
+ * @throws {Error} if the expression cannot be converted
+ */
+function convertMeasureExpr(measure, options = {}) {
+  if (measure.sigmaExpr) {
+    return measure.sigmaExpr;
+  }
+  return convertExpressionToSigma(String(measure.expr ?? measure.name), options.dialect);
+}
+
+/**
+ * build formula string from measure properties
+ * @param {Object} measure - measure object
+ * @param {Object} options - conversion options (options.dialect is the SQL dialect of the measure expression)
+ * @returns {Object} formula object containing the Sigma formula and constituent parts of the formula {formula, aggFunc, measureExpr, existingFilter, aggParams}
+ * @throws {Error} if the aggregation is not supported
+ */
+function buildMeasureFormula(measure, options = {}) {
+  // column references follow USER_FRIENDLY_COLUMN_NAMES like dimension expressions
+  const measureExpr = convertMeasureExpr(measure, options);
+
+  const { aggFunc, aggParams } = getAggFunc(measure, options);
+  const formula = buildAggregateFormula(aggFunc, measureExpr, aggParams);
   
   return {
     formula,
     aggFunc: aggFunc,
-    measureExpr: userFriendlyExpr,
-    existingFilter: null
+    measureExpr: measureExpr,
+    existingFilter: null,
+    aggParams
   };
 }
 
@@ -66,41 +123,44 @@ function buildMeasureFormula(measure) {
  * @param {Object} measure - measure object
  * @param {string} filterStr - filter string
  * @param {string} modelName - semantic model name
- * @returns {Object} formula object containing the Sigma formula and constituent parts of the formula {formula, aggFunc, measureExpr, existingFilter}
+ * @param {Object} options - conversion options (options.dialect is the SQL dialect of the measure expression)
+ * @returns {Object} formula object containing the Sigma formula and constituent parts of the formula {formula, aggFunc, measureExpr, existingFilter, aggParams}
  */
-function buildMeasureFormulaWithFilter(measure, filterStr, modelName) {
+function buildMeasureFormulaWithFilter(measure, filterStr, modelName, options = {}) {
   
-  const measureExpr = measure.expr;
-  const measureAgg = measure.agg;
   const convertedFilter = convertFilterToSigma(filterStr, modelName);
 
-  const aggFunc = 
-    measureAgg === 'sum' ? 'sumif' : 
-    measureAgg === 'avg' ? 'avgif' : 
-    measureAgg === 'min' ? 'minif' : 
-    measureAgg === 'max' ? 'maxif' : 
-    measureAgg === 'count' ? 'countif' : 
-    measureAgg === 'count_distinct' ? 'countdistinctif' : null;
-  
-  let formula;
-  // for countif, Sigma does not accept the measure being counted as a parameter
-  if (measureAgg === 'count') {
-    formula = `${aggFunc}(${convertedFilter})`;
-  } else {
-    formula = `${aggFunc}([${measureExpr}],${convertedFilter})`;
-  }
+  return buildMeasureFormulaWithSigmaFilter(measure, convertedFilter, options);
   
+}
+
+/**
+ * build formula string from measure with a filter that is already in Sigma syntax
+ * @param {Object} measure - measure object
+ * @param {string|null} convertedFilter - Sigma filter expression
+ * @param {Object} options - conversion options (options.dialect is the SQL dialect of the measure expression)
+ * @returns {Object} formula object containing the Sigma formula and constituent parts of the formula {formula, aggFunc, measureExpr, existingFilter, aggParams}
+ * @throws {Error} if the aggregation is not supported
+ */
+function buildMeasureFormulaWithSigmaFilter(measure, convertedFilter, options = {}) {
+  const measureExpr = convertMeasureExpr(measure, options);
+  const { aggFunc, aggParams } = getAggFunc(measure, options);
+
   return {
-    formula,
+    formula: buildAggregateFormula(aggFunc, measureExpr, aggParams, convertedFilter),
     aggFunc,
-    measureExpr: measureAgg === 'count' ? null : measureExpr, // countif doesn't have measureExpr
-    existingFilter: convertedFilter
+    measureExpr: aggFunc === 'count' ? null : measureExpr, // countif doesn't have measureExpr
+    existingFilter: convertedFilter,
+    aggParams
   };
-  
+
 }
 
 module.exports = {
+  convertMeasureExpr,
+  buildAggregateFormula,
   buildMeasureFormula,
-  buildMeasureFormulaWithFilter
+  buildMeasureFormulaWithFilter,
+  buildMeasureFormulaWithSigmaFilter
 };
 
@@ -0,0 +1,101 @@
+const { buildGroupedHelperElement, buildHelperRelationship } = require('../helper_elements');
+const { canAddMetricToModel } = require('../metric_analyzer');
+
+/**
+ * build the Sigma column that returns the value of a metric per entity, used to filter on a metric
+ * ({{ Metric('lifetime_revenue', group_by=['customer']) }} > 1000)
+ *
+ * the metric is computed on a helper element grouped by the group_by entities and related to the primary element,
+ * so the filter can compare each row with the metric value of its entity:
+ *   Metric('lifetime_revenue', group_by=['customer'])
+ *   -> [lifetime_revenue__by_customer/lifetime_revenue__by_customer__value]
+ * the helper is pushed to options.helperElements and added to the data model by convertSemantics.
+ * @param {string} metricName - name of the metric referenced in the filter
+ * @param {Array<string>} groupBy - entities the metric is grouped by
+ * @param {Object} metricContext - context of the metric whose filter is converted
+ * @param {Object} metricContext.semanticModel - semantic model object
+ * @param {Array} metricContext.allMetrics - array of all metrics (for resolving the referenced metric)
+ * @param {Function} metricContext.convertMetricToSigma - function to convert metric to Sigma (to handle circular dependency)
+ * @param {Object} metricContext.options - conversion options (options.helperElements collects helper elements,
+ *   options.filterMetricsVisited holds the metrics already being converted for filters to guard against cycles)
+ * @returns {string} Sigma formula referencing the metric value of the row's entity
+ * @throws {Error} if the metric cannot be computed per entity in Sigma
+ */
+function buildMetricFilterColumn(metricName, groupBy, metricContext) {
+  const { semanticModel, allMetrics = [], options = {}, convertMetricToSigma } = metricContext;
+  const visited = options.filterMetricsVisited || new Set();
+
+  if (!semanticModel || !convertMetricToSigma || !Array.isArray(options.helperElements)) {
+    throw new Error(`Metric '${metricName}' in filter needs a helper element, which is not available here`);
+  }
+  if (visited.has(metricName)) {
+    throw new Error(`Metric '${metricName}' in filter references itself`);
+  }
+
+  const metric = allMetrics.find(m => m.name === metricName);
+  if (!metric) {
+    throw new Error(`Metric '${metricName}' in filter not found`);
+  }
+  if (!canAddMetricToModel(metric, semanticModel, allMetrics)) {
+    throw new Error(`Metric '${metricName}' in filter uses measures or dimensions that are not in semantic model ${semanticModel.name}`);
+  }
+
+  if (groupBy.length === 0) {
+    throw new Error(`Metric '${metricName}' in filter needs group_by entities`);
+  }
+  const unknownEntity = groupBy.find(entityName => !semanticModel.entities?.some(e => e.name === entityName));
+  if (unknownEntity) {
+    throw new Error(`group_by '${unknownEntity}' of metric '${metricName}' in filter is not an entity of semantic model ${semanticModel.name}`);
+  }
+
+  // convert the metric on its own, without the formulas already converted for the current element
+  const sigmaMetric = convertMetricToSigma(metric, semanticModel, allMetrics, {}, {
+    ...options,
+    filterMetricsVisited: new Set(visited).add(metricName)
+  });
+  if (!sigmaMetric.formula) {
+    throw new Error(`Metric '${metricName}' in filter could not be converted`);
+  }
+
+  // the grouped element only has the columns of the primary element, so formulas referencing other elements
+  // (e.g. time spine or helper elements) cannot be computed per entity
+  if (/\[[^\]]*\/[^\]]*\]/.test(sigmaMetric.formula)) {
+    throw new Error(`Metric '${metricName}' in filter references related elements and cannot be grouped by ${groupBy.join(', ')}`);
+  }
+
+  const primaryElementName = semanticModel.entities.find(e => e.type === 'primary').name;
+  const helperId = `${metricName}__by_${groupBy.join('__')}`;
+  const valueColumnId = `${helperId}__value`;
+
+  const groupByColumns = groupBy.map(entityName => ({
+    id: `${helperId}__${entityName}`,
+    name: `${helperId}__${entityName}`,
+    formula: `[${primaryElementName}/${semanticModel.name}__${entityName}]`
+  }));
+
+  const element = buildGroupedHelperElement({
+    id: helperId,
+    description: `${metricName} per ${groupBy.join(', ')} for filters on metric ${metricName}`,
+    sourceElementId: primaryElementName,
+    groupByColumns: groupByColumns,
+    calculationColumns: [{
+      id: valueColumnId,
+      name: valueColumnId,
+      // column references of the metric formula are resolved on the primary element
+      formula: sigmaMetric.formula.replace(/\[([^\]\/]+)\]/g, (match, column) => `[${primaryElementName}/${column}]`)
+    }]
+  });
+
+  const relationship = buildHelperRelationship(primaryElementName, element, groupBy.map((entityName, i) => ({
+    sourceColumnId: `${semanticModel.name}__${entityName}`,
+    targetColumnId: groupByColumns[i].id
+  })));
+
+  options.helperElements.push({ element, relationship, columns: [] });
+
+  return `[${helperId}/${valueColumnId}]`;
+}
+
+module.exports = {
+  buildMetricFilterColumn
+};
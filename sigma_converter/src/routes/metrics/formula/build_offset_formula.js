@@ -0,0 +1,86 @@
+const { findAggTimeDimension, findTimeSpineReference, parseWindow } = require('../../time');
+
+/**
+ * find the measure behind a derived metric input to resolve its agg_time_dimension
+ * the input can be a measure, a simple/cumulative metric (type_params.measure) or any other metric
+ * @param {string} inputName - name of the metric input
+ * @param {Object} semanticModel - semantic model object
+ * @param {Array} allMetrics - array of all metrics
+ * @returns {Object|null} measure object or null if the input does not resolve to a single measure
+ */
+function findInputMeasure(inputName, semanticModel, allMetrics) {
+  const measure = semanticModel.measures?.find(m => m.name === inputName);
+  if (measure) {
+    return measure;
+  }
+
+  const metric = allMetrics.find(m => m.name === inputName);
+  const measureRef = metric?.type_params?.measure;
+  if (measureRef) {
+    const measureName = typeof measureRef === 'string' ? measureRef : measureRef.name;
+    return semanticModel.measures?.find(m => m.name === measureName) || null;
+  }
+
+  return null;
+}
+
+/**
+ * resolve the lookback of a derived metric input with offset_window
+ * the lookback runs on the time_spine column related to the input's agg_time_dimension by addTimeRelationships
+ * @param {Object} typeParamMetric - derived metric input with offset_window or offset_to_grain
+ * @param {Object} semanticModel - semantic model object
+ * @param {Array} allMetrics - array of all metrics
+ * @param {Object} options - conversion options
+ * @param {string} options.timeSpineFile - _models.yml file for time spine models
+ * @returns {Object} object with count, datePart and dateFormula (Sigma formula of the time spine column)
+ * @throws {Error} if the offset cannot be represented in Sigma
+ */
+function resolveOffsetLookback(typeParamMetric, semanticModel, allMetrics = [], options = {}) {
+  const inputName = typeParamMetric.alias || typeParamMetric.name;
+
+  // offset_to_grain shifts each period to the start of its grain, which has no fixed lookback in Sigma
+  if (typeParamMetric.offset_to_grain) {
+    throw new Error(`offset_to_grain '${typeParamMetric.offset_to_grain}' of input '${inputName}' cannot be represented in Sigma`);
+  }
+
+  const parsedWindow = parseWindow(typeParamMetric.offset_window);
+  if (!parsedWindow) {
+    throw new Error(`offset_window '${JSON.stringify(typeParamMetric.offset_window)}' of input '${inputName}' cannot be parsed`);
+  }
+
+  const measure = findInputMeasure(typeParamMetric.name, semanticModel, allMetrics);
+  const aggTimeDimension = findAggTimeDimension(measure, semanticModel);
+  if (!aggTimeDimension) {
+    throw new Error(`no agg_time_dimension found for input '${inputName}' with offset_window`);
+  }
+
+  const timeSpineReference = findTimeSpineReference(semanticModel, aggTimeDimension, options.timeSpineFile);
+  if (!timeSpineReference) {
+    throw new Error(`no time_spine relationship found for '${aggTimeDimension}' used by input '${inputName}' with offset_window`);
+  }
+
+  return { count: parsedWindow.count, datePart: parsedWindow.datePart, dateFormula: timeSpineReference.formula };
+}
+
+/**
+ * shift the formula of a derived metric input by its offset_window using Sigma's DateLookback
+ * example: {name: revenue, offset_window: 1 month}
+ *   -> DateLookback(sum([amount]), [time_spine_day/ts_day__date_day], 1, 'month')
+ * @param {string} formula - Sigma formula of the input
+ * @param {Object} typeParamMetric - derived metric input with offset_window or offset_to_grain
+ * @param {Object} semanticModel - semantic model object
+ * @param {Array} allMetrics - array of all metrics
+ * @param {Object} options - conversion options
+ * @param {string} options.timeSpineFile - _models.yml file for time spine models
+ * @returns {string} time-shifted Sigma formula
+ * @throws {Error} if the offset cannot be represented in Sigma
+ */
+function buildOffsetFormula(formula, typeParamMetric, semanticModel, allMetrics = [], options = {}) {
+  const { count, datePart, dateFormula } = resolveOffsetLookback(typeParamMetric, semanticModel, allMetrics, options);
+  return `DateLookback(${formula}, ${dateFormula}, ${count}, '${datePart}')`;
+}
+
+module.exports = {
+  resolveOffsetLookback,
+  buildOffsetFormula
+};
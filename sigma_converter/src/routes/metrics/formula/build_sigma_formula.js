@@ -1,37 +1,54 @@
-const { buildMeasureFormula, buildMeasureFormulaWithFilter } = require('./build_formula_object');
+const { buildMeasureFormula, buildMeasureFormulaWithSigmaFilter } = require('./build_formula_object');
 const { convertFilterToSigma } = require('../../filter/filter_converter');
 const { combineFilters, rebuildFilteredFormula } = require('../../filter/filter_utils');
+const { reportUnsupportedFeature } = require('../unsupported_features');
+
+/**
+ * convert the filter of a metric reference (or metric) to a Sigma filter
+ * @param {string|Array<string>} filter - dbt filter (string or list of strings)
+ * @param {string} modelName - semantic model name
+ * @param {Object|null} metricContext - {semanticModel, allMetrics, options, convertMetricToSigma} used by Metric references in the filter
+ * @returns {string|null} Sigma filter expression or null if there is no filter
+ */
+function convertReferenceFilter(filter, modelName, metricContext = null) {
+  if (!filter) {
+    return null;
+  }
+  return convertFilterToSigma(filter, modelName, metricContext);
+}
 
 /**
  * build Sigma formula for a metric referenced in type_params.metrics
+ * the filter of the reference and the filter pushed down from the metric being processed (metric-level filter of
+ * derived and ratio metrics) are combined with the filter of the referenced measure or metric
  * @param {Object} typeParamMetric - metric referenced in type_params.metrics
  * @param {Object} semanticModel - semantic model object
  * @param {Array} allMetrics - array of all metrics from source data (for checking if referenced metric is present as a metric in the source data)
- * @param {Object} convertedMetrics - map of already converted metrics (name -> {formula, aggFunc, measureExpr, existingFilter})
+ * @param {Object} convertedMetrics - map of already converted metrics (name -> {formula, aggFunc, measureExpr, existingFilter, aggParams})
  * @param {Function} convertMetricToSigma - function to convert metric to Sigma (to handle circular dependency)
+ * @param {Object} options - conversion options (passed through to convertMetricToSigma)
+ * @param {string|null} metricFilter - Sigma filter pushed down from the metric being processed
  * @returns {string|null} Sigma formula string or null if measure/metric not found
  */
-function buildSigmaMeasureFormula(typeParamMetric, semanticModel, allMetrics = [], convertedMetrics = {}, convertMetricToSigma) {
+function buildSigmaMeasureFormula(typeParamMetric, semanticModel, allMetrics = [], convertedMetrics = {}, convertMetricToSigma, options = {}, metricFilter = null) {
   
   const metricName = typeof typeParamMetric === 'string' ? typeParamMetric : typeParamMetric.name;
+  const referenceFilter = typeof typeParamMetric === 'object' ? typeParamMetric.filter : null;
+
+  // filter of the reference combined with the filter pushed down from the metric being processed
+  const inputFilter = combineFilters(
+    convertReferenceFilter(referenceFilter, semanticModel.name, { semanticModel, allMetrics, options, convertMetricToSigma }),
+    metricFilter
+  );
   
   const measure = semanticModel.measures?.find(m => m.name === metricName);
 
   // if the referenced metric is present as a measure, build the formula using the measure
   if (measure) {
 
-    let sigmaFormulaObject;
-    
-    // check if metric reference has a filter
-    if (typeof typeParamMetric === 'object' && typeParamMetric.filter) {
-      const filterStr = typeof typeParamMetric.filter === 'string' 
-        ? typeParamMetric.filter 
-        : JSON.stringify(typeParamMetric.filter);
-      sigmaFormulaObject = buildMeasureFormulaWithFilter(measure, filterStr, semanticModel.name);
-    } else {
-      // no filter, use the measure directly
-      sigmaFormulaObject = buildMeasureFormula(measure);
-    }
+    const sigmaFormulaObject = inputFilter
+      ? buildMeasureFormulaWithSigmaFilter(measure, inputFilter, options)
+      : buildMeasureFormula(measure, options);
     
     // store formula object in convertedMetrics for future use
     convertedMetrics[metricName] = sigmaFormulaObject;
@@ -48,43 +65,38 @@ function buildSigmaMeasureFormula(typeParamMetric, semanticModel, allMetrics = [
     
     // if the referenced metric is not yet converted, try to convert it now
     if (!referencedMetricFormulaObject) {
-      const convertedMetric = convertMetricToSigma(referencedMetric, semanticModel, allMetrics, convertedMetrics);
+      const convertedMetric = convertMetricToSigma(referencedMetric, semanticModel, allMetrics, convertedMetrics, options);
       if (convertedMetric && convertedMetric.formula) {
         referencedMetricFormulaObject = convertedMetrics[metricName];
       } else {
         return null;
       }
     }
-    
-    // if the metric being processed has a filter in type_params, combine it with the referenced metric's filter
-    // typeParamMetric.filter is the filter for the metric being processed
-    // referencedMetricFormulaObject.existingFilter is the filter from the referenced metric (already converted to Sigma)
-    if (typeof typeParamMetric === 'object' && typeParamMetric.filter) {
-      const newFilterStr = typeof typeParamMetric.filter === 'string' 
-        ? typeParamMetric.filter 
-        : JSON.stringify(typeParamMetric.filter);
-      const convertedNewFilter = convertFilterToSigma(newFilterStr, semanticModel.name);
-      
-      if (referencedMetricFormulaObject && referencedMetricFormulaObject.aggFunc && referencedMetricFormulaObject.existingFilter !== null && referencedMetricFormulaObject.existingFilter !== undefined) {
-        // combine the filter from the referenced metric with the filter from the metric being processed
-        const combinedFilter = combineFilters(referencedMetricFormulaObject.existingFilter, convertedNewFilter);
-        const combinedFormula = rebuildFilteredFormula(referencedMetricFormulaObject.aggFunc, referencedMetricFormulaObject.measureExpr, combinedFilter);
-        
-        // store formula object for the metric being processed
-        convertedMetrics[metricName] = {
-          formula: combinedFormula,
-          aggFunc: referencedMetricFormulaObject.aggFunc,
-          measureExpr: referencedMetricFormulaObject.measureExpr,
-          existingFilter: combinedFilter
-        };
-        
-        return combinedFormula;
-      } else if (referencedMetricFormulaObject && referencedMetricFormulaObject.formula) {
-        return referencedMetricFormulaObject.formula;
-      }
+
+    if (!inputFilter) {
+      return referencedMetricFormulaObject.formula;
     }
     
-    return referencedMetricFormulaObject ? referencedMetricFormulaObject.formula : null;
+    // combine the filter of the referenced metric (already converted to Sigma) with the input filter
+    // the combined formula is not stored in convertedMetrics, as it only applies to this reference
+    if (referencedMetricFormulaObject.aggFunc) {
+      const combinedFilter = combineFilters(referencedMetricFormulaObject.existingFilter, inputFilter);
+      return rebuildFilteredFormula(referencedMetricFormulaObject.aggFunc, referencedMetricFormulaObject.measureExpr, combinedFilter, referencedMetricFormulaObject.aggParams);
+    }
+
+    // derived, ratio and cumulative metrics are converted again with the input filter pushed down to their own inputs
+    if (['simple', 'cumulative', 'derived', 'ratio'].includes(referencedMetric.type)) {
+      const filteredMetric = convertMetricToSigma(referencedMetric, semanticModel, allMetrics, convertedMetrics, options, inputFilter);
+      return filteredMetric.formula || null;
+    }
+
+    reportUnsupportedFeature(options, {
+      semanticModel: semanticModel.name,
+      metric: metricName,
+      feature: `${referencedMetric.type}.filter`,
+      reason: `filter '${inputFilter}' cannot be applied to ${referencedMetric.type} metric '${metricName}'`
+    });
+    return null;
 
   }
 
@@ -93,6 +105,7 @@ function buildSigmaMeasureFormula(typeParamMetric, semanticModel, allMetrics = [
 }
 
 module.exports = {
+  convertReferenceFilter,
   buildSigmaMeasureFormula
 };
 
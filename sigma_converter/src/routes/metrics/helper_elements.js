@@ -0,0 +1,94 @@
+/**
+ * builds a helper element that groups rows of an element in the current data model
+ * helper elements are used when a dbt construct cannot be represented by a single Sigma metric formula
+ * (e.g. conversion metrics need the first base and conversion event per entity)
+ * @param {Object} params - helper element parameters
+ * @param {string} params.id - id of the helper element
+ * @param {string} params.description - description of the helper element
+ * @param {string} params.sourceElementId - id of the element the helper element is sourced from
+ * @param {Array<Object>} params.groupByColumns - columns the rows are grouped by
+ * @param {Array<Object>} params.calculationColumns - aggregated columns computed for each group
+ * @returns {Object} Sigma element
+ */
+function buildGroupedHelperElement({ id, description, sourceElementId, groupByColumns, calculationColumns }) {
+  return {
+    id: id,
+    name: id,
+    description: description,
+    kind: 'table',
+    source: {
+      kind: 'element',
+      elementId: sourceElementId
+    },
+    columns: [...groupByColumns, ...calculationColumns],
+    groupings: [{
+      id: `${id}__grouping`,
+      groupBy: groupByColumns.map(col => col.id),
+      calculations: calculationColumns.map(col => col.id)
+    }],
+    filters: [],
+    folders: [],
+    metrics: [],
+    relationships: [],
+    joins: []
+  };
+}
+
+/**
+ * builds the N:1 relationship from an element to a helper element
+ * @param {string} sourceElementName - name of the element the relationship starts from
+ * @param {Object} helperElement - helper element built by buildGroupedHelperElement
+ * @param {Array<Object>} keys - relationship keys [{sourceColumnId, targetColumnId}]
+ * @returns {Object} Sigma relationship
+ */
+function buildHelperRelationship(sourceElementName, helperElement, keys) {
+  return {
+    id: `${sourceElementName}__${helperElement.id}`,
+    name: `${sourceElementName}__${helperElement.id}`,
+    targetElementId: helperElement.id,
+    keys: keys,
+    relationshipType: 'N:1'
+  };
+}
+
+/**
+ * adds helper elements, their relationships and the helper columns they depend on to the Sigma data model
+ * helpers with an id that is already present are skipped, so the same helper can be requested by several metrics
+ * @param {Object} targetData - Sigma data model
+ * @param {string} primaryElementId - id of the primary element that receives helper columns and relationships
+ * @param {Array<Object>} helpers - array of {element, relationship, columns, sourceElementId (optional)}
+ */
+function addHelperElements(targetData, primaryElementId, helpers) {
+  const elements = targetData.pages[0].elements;
+  const primaryElement = elements.find(el => el.id === primaryElementId);
+  if (!primaryElement) {
+    console.warn(`Primary element ${primaryElementId} not found, skipping helper elements`);
+    return;
+  }
+
+  helpers.forEach(helper => {
+    (helper.columns || []).forEach(column => {
+      if (!primaryElement.columns.some(col => col.id === column.id)) {
+        primaryElement.columns.push(column);
+      }
+    });
+
+    if (helper.element && !elements.some(el => el.id === helper.element.id)) {
+      elements.push(helper.element);
+    }
+
+    // relationships start from the primary element unless the helper names another source element
+    const sourceElement = helper.sourceElementId
+      ? elements.find(el => el.id === helper.sourceElementId)
+      : primaryElement;
+    if (helper.relationship && sourceElement && !sourceElement.relationships.some(rel => rel.id === helper.relationship.id)) {
+      sourceElement.relationships.push(helper.relationship);
+    }
+  });
+}
+
+module.exports = {
+  buildGroupedHelperElement,
+  buildHelperRelationship,
+  addHelperElements
+};
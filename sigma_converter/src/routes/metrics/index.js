@@ -6,14 +6,23 @@ const { canAddMetricToModel } = require('./metric_analyzer');
 const { convertMetricToSigma } = require('./metric_converter');
 const { convertFilterToSigma } = require('../filter/filter_converter');
 const { parseDimensionReference, extractDimensionReferences } = require('./dimension_parser');
-const { buildMeasureFormula } = require('./formula/build_formula_object');
+const { buildMeasureFormula, convertMeasureExpr } = require('./formula/build_formula_object');
+const { addHelperElements } = require('./helper_elements');
+const { reportUnsupportedFeature } = require('./unsupported_features');
+const { buildImplicitMetrics, buildMetricRegistry, getMetricsForModel } = require('./metric_registry');
 
 module.exports = {
   canAddMetricToModel,
   convertMetricToSigma,
   convertFilterToSigma,
   buildMeasureFormula,
+  convertMeasureExpr,
   parseDimensionReference,
-  extractDimensionReferences
+  extractDimensionReferences,
+  addHelperElements,
+  reportUnsupportedFeature,
+  buildImplicitMetrics,
+  buildMetricRegistry,
+  getMetricsForModel
 };
 
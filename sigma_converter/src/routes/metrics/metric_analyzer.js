@@ -1,27 +1,66 @@
-const { extractDimensionReferences, parseDimensionReference } = require('./dimension_parser');
+const { extractDimensionReferences } = require('./dimension_parser');
+
+/**
+ * check if a measure or metric referenced by a metric is available in the current model
+ * a referenced metric is available if it can itself be added to the current model
+ * @param {string} name - name of the referenced measure or metric
+ * @param {Object} semanticModel - semantic model object
+ * @param {Array} allMetrics - array of all metrics
+ * @param {Set} visited - names of metrics already being checked (guards against circular references)
+ * @returns {boolean} true if the reference is available in the current model
+ */
+function isReferenceInModel(name, semanticModel, allMetrics, visited) {
+  // first check if the reference is present as a measure in the semantic model
+  if (semanticModel.measures?.some(m => m.name === name)) {
+    return true;
+  }
+
+  // if the reference is not present as a measure, check if it's a metric that can be added to the current model
+  const referencedMetric = allMetrics.find(m => m.name === name);
+  if (!referencedMetric || visited.has(referencedMetric.name)) {
+    return false;
+  }
+  return canAddMetricToModel(referencedMetric, semanticModel, allMetrics, visited);
+}
 
 /**
  * check if a metric can be added to the current model
  * @param {Object} metric - metric object from dbt
  * @param {Object} semanticModel - semantic model object
- * @param {Array} allMetrics - array of all metrics from source data (for checking if referenced metric is present as a metric in the source data)
+ * @param {Array} allMetrics - array of all metrics (for checking if referenced metric is present as a metric in the project)
+ * @param {Set} visited - names of metrics already being checked (used for recursion on referenced metrics)
  * @returns {boolean} true if all dimensions and measures/metrics used by the dbt metric are in the current model, false otherwise
  */
-function canAddMetricToModel(metric, semanticModel, allMetrics = []) {
+function canAddMetricToModel(metric, semanticModel, allMetrics = [], visited = new Set()) {
+  visited = new Set(visited).add(metric.name);
+
   // check metrics referenced in type_params.metrics (for derived metrics)
   if (metric.type_params?.metrics) {
     for (const refMetric of metric.type_params.metrics) {
       const metricName = typeof refMetric === 'string' ? refMetric : refMetric.name;
-      
-      // first check if the referenced metric is present as a measure in the semantic model
-      const measureExists = semanticModel.measures?.some(m => m.name === metricName);
-      if (measureExists) {
-        continue;
+      if (!isReferenceInModel(metricName, semanticModel, allMetrics, visited)) {
+        return false;
       }
-      
-      // if the referenced metric is not present as a measure, check if it's present as a metric in the source data
-      const metricExists = allMetrics.some(m => m.name === metricName);
-      if (!metricExists) {
+    }
+  }
+
+  // check measure referenced in type_params.measure (for simple and cumulative metrics)
+  if (['simple', 'cumulative'].includes(metric.type) && metric.type_params?.measure) {
+    const measureRef = metric.type_params.measure;
+    const measureName = typeof measureRef === 'string' ? measureRef : measureRef.name;
+    const measureExists = semanticModel.measures?.some(m => m.name === measureName);
+    if (!measureExists) {
+      return false;
+    }
+  }
+
+  // check base and conversion measures for conversion metrics
+  if (metric.type === 'conversion' && metric.type_params?.conversion_type_params) {
+    const { base_measure: baseMeasure, conversion_measure: conversionMeasure } = metric.type_params.conversion_type_params;
+    for (const measureRef of [baseMeasure, conversionMeasure]) {
+      const measureName = typeof measureRef === 'string' ? measureRef : measureRef?.name;
+      const measureExists = semanticModel.measures?.some(m => m.name === measureName);
+      if (!measureExists) {
         return false;
       }
     }
@@ -29,38 +68,29 @@ function canAddMetricToModel(metric, semanticModel, allMetrics = []) {
 
   // check numerator and denominator for ratio metrics
   if (metric.type === 'ratio' && metric.type_params) {
-    const { numerator, denominator } = metric.type_params;
-    
-    if (numerator) {
-      const numeratorName = typeof numerator === 'string' ? numerator : numerator.name;
-      const numeratorMeasureExists = semanticModel.measures?.some(m => m.name === numeratorName);
-      if (!numeratorMeasureExists) {
-        const numeratorMetricExists = allMetrics.some(m => m.name === numeratorName);
-        if (!numeratorMetricExists) {
-          return false;
-        }
-      }
-    }
-    
-    if (denominator) {
-      const denominatorName = typeof denominator === 'string' ? denominator : denominator.name;
-      const denominatorMeasureExists = semanticModel.measures?.some(m => m.name === denominatorName);
-      if (!denominatorMeasureExists) {
-        const denominatorMetricExists = allMetrics.some(m => m.name === denominatorName);
-        if (!denominatorMetricExists) {
-          return false;
-        }
+    for (const ref of [metric.type_params.numerator, metric.type_params.denominator]) {
+      if (!ref) continue;
+      const refName = typeof ref === 'string' ? ref : ref.name;
+      if (!isReferenceInModel(refName, semanticModel, allMetrics, visited)) {
+        return false;
       }
     }
   }
 
-  // extract and check dimension references
+  // extract and check dimension, time dimension, entity and metric references
+  // references without an entity (e.g. metric_time) are checked when the filter is converted
   const dimensionRefs = extractDimensionReferences(metric);
-  for (const dimRef of dimensionRefs) {
-    const { modelName, dimensionName } = parseDimensionReference(dimRef);
+  for (const { entityName, metricName } of dimensionRefs) {
+    // metrics referenced in filters are computed per entity on the current model
+    if (metricName && !isReferenceInModel(metricName, semanticModel, allMetrics, visited)) {
+      return false;
+    }
+    if (!entityName) {
+      continue;
+    }
 
-    // check if the dimension is present in one of the entities referenced by the semantic model
-    const dimensionExists = semanticModel.entities?.some(e => e.name === modelName);
+    // check if the dimension or entity is present in one of the entities referenced by the semantic model
+    const dimensionExists = semanticModel.entities?.some(e => e.name === entityName);
     if (!dimensionExists) {
       return false;
     }
@@ -1,4 +1,9 @@
-const { buildSigmaMeasureFormula } = require('./formula/build_sigma_formula');
+const { buildSigmaMeasureFormula, convertReferenceFilter } = require('./formula/build_sigma_formula');
+const { buildCumulativeFormula } = require('./formula/build_cumulative_formula');
+const { buildConversionFormula } = require('./formula/build_conversion_formula');
+const { buildOffsetFormula, resolveOffsetLookback } = require('./formula/build_offset_formula');
+const { reportUnsupportedFeature } = require('./unsupported_features');
+const { combineFilters } = require('../filter/filter_utils');
 
 
 /**
@@ -61,9 +66,12 @@ function findMetricInTypeParams(typeParamMetrics, exprPart) {
  * @param {Object} semanticModel - semantic model object
  * @param {Array} allMetrics - array of all metrics from source data (for resolving metric references)
  * @param {Object} convertedMetrics - map of already converted metrics (name -> formula)
+ * @param {Object} options - conversion options (passed through to convertMetricToSigma)
+ * @param {string|null} metricFilter - Sigma filter pushed down to each part of the expression
  * @returns {string|null} converted formula or null if conversion fails
+ * @throws {Error} if an offset_window or offset_to_grain of an input cannot be represented in Sigma
  */
-function convertExpression(expr, typeParamMetrics, semanticModel, allMetrics = [], convertedMetrics = {}) {
+function convertExpression(expr, typeParamMetrics, semanticModel, allMetrics = [], convertedMetrics = {}, options = {}, metricFilter = null) {
 
   if (!expr || typeof expr !== 'string') {
     return null;
@@ -91,7 +99,7 @@ function convertExpression(expr, typeParamMetrics, semanticModel, allMetrics = [
 
     // build formula for this metric reference
     // Note: convertMetricToSigma is passed to handle circular dependency
-    const formula = buildSigmaMeasureFormula(typeParamMetric, semanticModel, allMetrics, convertedMetrics, convertMetricToSigma);
+    const formula = buildSigmaMeasureFormula(typeParamMetric, semanticModel, allMetrics, convertedMetrics, convertMetricToSigma, options, metricFilter);
     
     if (!formula) {
       // measure/metric not found in semantic model or source data
@@ -99,16 +107,17 @@ function convertExpression(expr, typeParamMetrics, semanticModel, allMetrics = [
       return null;
     }
 
-    formulas[part] = formula;
+    // shift inputs with offset_window (e.g. revenue of the previous month)
+    if (typeof typeParamMetric === 'object' && (typeParamMetric.offset_window || typeParamMetric.offset_to_grain)) {
+      formulas[part] = buildOffsetFormula(formula, typeParamMetric, semanticModel, allMetrics, options);
+    } else {
+      formulas[part] = formula;
+    }
   }
 
-  let convertedExpr = expr;
-  for (const part of parts) {
-    const formula = formulas[part];
-    // replace each part with its corresponding formula, using word boundaries to avoid partial matches
-    const regex = new RegExp(`\\b${part}\\b`, 'g');
-    convertedExpr = convertedExpr.replace(regex, formula);
-  }
+  // replace each part with its corresponding formula in a single pass, using word boundaries to avoid partial matches
+  // a single pass ensures identifiers inside already substituted formulas are not replaced again
+  const convertedExpr = expr.replace(/\b[a-zA-Z_][a-zA-Z0-9_]*\b/g, part => formulas[part] || part);
 
   return convertedExpr;
 
@@ -121,14 +130,38 @@ function convertExpression(expr, typeParamMetrics, semanticModel, allMetrics = [
  * @param {Object} semanticModel - current semantic model object
  * @param {Array} allMetrics - array of all metrics from source data (for resolving metric references)
  * @param {Object} convertedMetrics - map of already converted metrics (name -> formula)
+ * @param {Object} options - conversion options
+ * @param {string} options.timeSpineFile - _models.yml file for time spine models (used by offset windows of derived metrics)
+ * @param {Array<Object>} options.helperElements - collected helper elements {element, relationship, columns} (used by conversion metrics)
+ * @param {Array<Object>} options.unsupportedFeatures - collected unsupported features
+ * @param {string|null} inheritedFilter - Sigma filter pushed down from a metric referencing this metric
  * @returns {Object} Sigma metric object
+ * @throws {Error} if a measure used by the metric has an unsupported aggregation
  */
-function convertMetricToSigma(metric, semanticModel, allMetrics = [], convertedMetrics = {}) {
+function convertMetricToSigma(metric, semanticModel, allMetrics = [], convertedMetrics = {}, options = {}, inheritedFilter = null) {
+
+  // formulas converted with an inherited filter only apply to the referencing metric and are not stored
+  if (inheritedFilter) {
+    convertedMetrics = { ...convertedMetrics };
+  }
+
+  // the metric-level filter of derived and ratio metrics is pushed down to each of their inputs
+  // (the filter of simple metrics is applied to their measure)
+  const metricFilter = combineFilters(
+    ['derived', 'ratio'].includes(metric.type)
+      ? convertReferenceFilter(metric.filter, semanticModel.name, { semanticModel, allMetrics, options, convertMetricToSigma })
+      : null,
+    inheritedFilter
+  );
+
+  // metrics named after a measure of the semantic model (e.g. the implicit metrics of measures with
+  // create_metric: true) get another id and their label as name, so that they do not collide with the measure's metric
+  const isMeasureName = semanticModel.measures?.some(m => m.name === metric.name);
 
   // description is an optional field in dbt metrics
   const sigmaMetric = {
-    id: `${metric.name}`,
-    name: metric.name,
+    id: isMeasureName ? `${metric.name}__metric` : `${metric.name}`,
+    name: isMeasureName ? metric.label || `${metric.name}__metric` : metric.name,
     description: metric.description || metric.label || metric.name
   };
 
@@ -144,7 +177,7 @@ function convertMetricToSigma(metric, semanticModel, allMetrics = [], convertedM
     }];
     
     // use convertExpression which will call buildSigmaMeasureFormula internally
-    sigmaMetric.formula = convertExpression(expr, typeParamMetrics, semanticModel, allMetrics, convertedMetrics);
+    sigmaMetric.formula = convertExpression(expr, typeParamMetrics, semanticModel, allMetrics, convertedMetrics, options, metricFilter);
     
     // copy formula object from measure name to metric name in convertedMetrics
     // this is needed because buildSigmaMeasureFormula stores the formula object under the measure name,
@@ -155,13 +188,64 @@ function convertMetricToSigma(metric, semanticModel, allMetrics = [], convertedM
 
   }
 
+  // handle cumulative metrics (type: cumulative)
+  // the filter of the metric and the inherited filter are applied to the measure before it is accumulated
+  if (metric.type === 'cumulative' && metric.type_params?.measure) {
+
+    const cumulativeFilter = combineFilters(
+      convertReferenceFilter(metric.filter, semanticModel.name, { semanticModel, allMetrics, options, convertMetricToSigma }),
+      metricFilter
+    );
+    const cumulativeFormulaObject = buildCumulativeFormula(metric, semanticModel, cumulativeFilter, options);
+
+    if (cumulativeFormulaObject) {
+      sigmaMetric.formula = cumulativeFormulaObject.formula;
+    }
+
+  }
+
+  // handle conversion metrics (type: conversion)
+  if (metric.type === 'conversion' && metric.type_params?.conversion_type_params) {
+
+    const conversionFormula = buildConversionFormula(metric, semanticModel, options, allMetrics, convertMetricToSigma);
+
+    if (conversionFormula) {
+      sigmaMetric.formula = conversionFormula.formula;
+      // the helper element is added to the data model by convertSemantics
+      if (Array.isArray(options.helperElements)) {
+        options.helperElements.push(conversionFormula.helper);
+      }
+    }
+
+  }
+
   // handle derived metrics
   if (metric.type === 'derived' && metric.type_params) {
     const { expr, metrics: typeParamMetrics } = metric.type_params;
 
     if (expr && typeParamMetrics && Array.isArray(typeParamMetrics) && typeParamMetrics.length > 0) {
-      // parse expr and convert to Sigma formula
-      sigmaMetric.formula = convertExpression(expr, typeParamMetrics, semanticModel, allMetrics, convertedMetrics);
+      // inputs with an offset that cannot be represented fail the whole metric instead of dropping the offset
+      // other errors (e.g. unsupported aggregations of input measures) are thrown by convertExpression and handled by the caller
+      let offsetError = null;
+      try {
+        typeParamMetrics
+          .filter(m => typeof m === 'object' && (m.offset_window || m.offset_to_grain))
+          .forEach(m => resolveOffsetLookback(m, semanticModel, allMetrics, options));
+      } catch (error) {
+        offsetError = error;
+      }
+
+      if (offsetError) {
+        reportUnsupportedFeature(options, {
+          semanticModel: semanticModel.name,
+          metric: metric.name,
+          feature: 'derived.offset',
+          reason: offsetError.message
+        });
+      } else {
+        // parse expr and convert to Sigma formula
+        sigmaMetric.formula = convertExpression(expr, typeParamMetrics, semanticModel, allMetrics, convertedMetrics, options, metricFilter);
+      }
     }
   }
 
@@ -172,8 +256,8 @@ function convertMetricToSigma(metric, semanticModel, allMetrics = [], convertedM
     if (numerator && denominator) {
       // numerator & denominator can be simply the names of the metrics or objects with a name, filter, alias property
       // buildSigmaMeasureFormula handles both strings and objects
-      const numeratorFormula = buildSigmaMeasureFormula(numerator, semanticModel, allMetrics, convertedMetrics, convertMetricToSigma);
-      const denominatorFormula = buildSigmaMeasureFormula(denominator, semanticModel, allMetrics, convertedMetrics, convertMetricToSigma);
+      const numeratorFormula = buildSigmaMeasureFormula(numerator, semanticModel, allMetrics, convertedMetrics, convertMetricToSigma, options, metricFilter);
+      const denominatorFormula = buildSigmaMeasureFormula(denominator, semanticModel, allMetrics, convertedMetrics, convertMetricToSigma, options, metricFilter);
 
       if (numeratorFormula && denominatorFormula) {
         // create ratio formula: numerator / denominator
@@ -189,8 +273,8 @@ function convertMetricToSigma(metric, semanticModel, allMetrics = [], convertedM
 
   // store the converted formula and structured data in the map
   if (sigmaMetric.formula) {
-    // for simple metrics, formula object is already stored by buildSigmaMeasureFormula (line 205 or 350)
-    // for derived metrics with filters, formula object is stored by buildSigmaMeasureFormula (line 245-252)
+    // for simple metrics, formula object is already stored by buildSigmaMeasureFormula
+    // for derived metrics with filters, formula object is stored by buildSigmaMeasureFormula
     // for derived metrics without filters or with complex expressions, store just the formula as fallback
     // for ratio metrics, store just the formula as fallback
     if (!convertedMetrics[metric.name]) {
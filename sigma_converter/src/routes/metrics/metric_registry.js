@@ -0,0 +1,268 @@
+const yaml = require('js-yaml');
+const fs = require('fs');
+
+const { findYamlFiles } = require('../../utils/find_yaml_files');
+
+/**
+ * get the name of a measure or metric reference (string or object with a name property)
+ * @param {string|Object} ref - reference
+ * @returns {string|null} name of the reference
+ */
+function getRefName(ref) {
+  if (!ref) {
+    return null;
+  }
+  return typeof ref === 'string' ? ref : ref.name;
+}
+
+/**
+ * convert a filter from the semantic manifest ({where_filters: [{where_sql_template}]}) to a dbt YAML filter string
+ * @param {string|Object|null} filter - filter from the semantic manifest or a YAML file
+ * @returns {string|undefined} filter string or undefined if there is no filter
+ */
+function normalizeFilter(filter) {
+  if (!filter) {
+    return undefined;
+  }
+  if (typeof filter === 'string') {
+    return filter;
+  }
+  if (Array.isArray(filter)) {
+    return filter.length === 1 ? filter[0] : filter.map(f => `(${f})`).join(' and ');
+  }
+  if (Array.isArray(filter.where_filters)) {
+    return normalizeFilter(filter.where_filters.map(f => f.where_sql_template));
+  }
+  return filter;
+}
+
+/**
+ * convert a measure or metric input from the semantic manifest to the shape used in dbt YAML files
+ * null properties are removed, filters are converted to strings and inputs with only a name are converted to the name
+ * @param {Object|string|null} input - metric input from the semantic manifest
+ * @returns {Object|string|null} normalized input
+ */
+function normalizeInput(input) {
+  if (!input || typeof input === 'string') {
+    return input;
+  }
+  const normalized = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (value === null || value === undefined) continue;
+    normalized[key] = key === 'filter' ? normalizeFilter(value) : value;
+  }
+  const keys = Object.keys(normalized);
+  return keys.length === 1 && keys[0] === 'name' ? normalized.name : normalized;
+}
+
+/**
+ * convert a metric from the semantic manifest to the shape used in dbt YAML files
+ * @param {Object} manifestMetric - metric from semantic_manifest.json
+ * @returns {Object} metric in dbt YAML shape
+ */
+function normalizeManifestMetric(manifestMetric) {
+  const typeParams = manifestMetric.type_params || {};
+  const normalizedTypeParams = {};
+
+  for (const [key, value] of Object.entries(typeParams)) {
+    if (value === null || value === undefined || key === 'input_measures') continue;
+    if (key === 'metrics') {
+      normalizedTypeParams.metrics = value.map(normalizeInput);
+    } else if (['measure', 'numerator', 'denominator'].includes(key)) {
+      normalizedTypeParams[key] = normalizeInput(value);
+    } else if (key === 'conversion_type_params') {
+      normalizedTypeParams[key] = {
+        ...normalizeInput(value),
+        base_measure: normalizeInput(value.base_measure),
+        conversion_measure: normalizeInput(value.conversion_measure)
+      };
+    } else {
+      normalizedTypeParams[key] = value;
+    }
+  }
+
+  const metric = {
+    name: manifestMetric.name,
+    type: manifestMetric.type,
+    type_params: normalizedTypeParams
+  };
+  if (manifestMetric.label) metric.label = manifestMetric.label;
+  if (manifestMetric.description) metric.description = manifestMetric.description;
+  const filter = normalizeFilter(manifestMetric.filter);
+  if (filter) metric.filter = filter;
+
+  return metric;
+}
+
+/**
+ * build the simple metrics dbt creates for the measures of a semantic model with create_metric: true
+ * the implicit metric has the measure's name, label and description; an explicit metric of the same name wins
+ * example: measure {name: 'revenue', label: 'Revenue', create_metric: true}
+ *   -> {name: 'revenue', label: 'Revenue', type: 'simple', type_params: {measure: 'revenue'}}
+ * @param {Object} semanticModel - semantic model object
+ * @param {Array<Object>} metrics - metrics defined in the project
+ * @returns {Array<Object>} implicit metrics in dbt YAML shape
+ */
+function buildImplicitMetrics(semanticModel, metrics = []) {
+  return (semanticModel.measures || [])
+    .filter(measure => measure.create_metric && !metrics.some(metric => metric.name === measure.name))
+    .map(measure => {
+      const metric = { name: measure.name, type: 'simple', type_params: { measure: measure.name } };
+      if (measure.label) metric.label = measure.label;
+      if (measure.description) metric.description = measure.description;
+      return metric;
+    });
+}
+
+/**
+ * get the names of measures and metrics directly referenced by a metric
+ * @param {Object} metric - dbt metric
+ * @returns {Array<string>} referenced names
+ */
+function getReferencedNames(metric) {
+  const typeParams = metric.type_params || {};
+  const conversionTypeParams = typeParams.conversion_type_params || {};
+
+  return [
+    getRefName(typeParams.measure),
+    getRefName(typeParams.numerator),
+    getRefName(typeParams.denominator),
+    getRefName(conversionTypeParams.base_measure),
+    getRefName(conversionTypeParams.conversion_measure),
+    ...(typeParams.metrics || []).map(getRefName)
+  ].filter(Boolean);
+}
+
+/**
+ * resolve the semantic models owning the measures used by a metric (directly or through referenced metrics)
+ * @param {Object} metric - dbt metric
+ * @param {Map} metricsByName - map of metric name -> metric
+ * @param {Map} measureOwners - map of measure name -> semantic model name
+ * @param {Set} visited - names already visited (guards against circular references)
+ * @returns {Set<string>} names of the owning semantic models
+ */
+function resolveMetricOwners(metric, metricsByName, measureOwners, visited = new Set()) {
+  const owners = new Set();
+  if (visited.has(metric.name)) {
+    return owners;
+  }
+  visited.add(metric.name);
+
+  getReferencedNames(metric).forEach(refName => {
+    // derived and ratio metrics may reference measures directly
+    if (measureOwners.has(refName)) {
+      owners.add(measureOwners.get(refName));
+      return;
+    }
+    const referencedMetric = metricsByName.get(refName);
+    if (referencedMetric) {
+      resolveMetricOwners(referencedMetric, metricsByName, measureOwners, visited).forEach(owner => owners.add(owner));
+    }
+  });
+
+  return owners;
+}
+
+/**
+ * build a project-wide metric registry
+ * metrics are collected from every YAML file in the source tree (e.g. metrics/*.yml) and from semantic_manifest.json.
+ * metrics defined in YAML files take precedence over metrics of the same name in the manifest, and both over the
+ * implicit metrics of measures with create_metric: true.
+ * each metric is attributed to the semantic models that own its measures, so metrics are converted with the
+ * semantic model they belong to no matter which file defines them.
+ * @param {string} sourceDir - directory containing source semantic models and metrics
+ * @param {string} manifestPath - path to semantic_manifest.json (optional)
+ * @returns {Object} registry {metrics, metricOwners, unattributedMetrics, semanticModels}
+ */
+function buildMetricRegistry(sourceDir, manifestPath) {
+  const metricsByName = new Map();
+  const measureOwners = new Map(); // measure name -> semantic model name
+  const semanticModels = new Map(); // semantic model name -> semantic model from the source tree
+
+  // collect metrics and measures from the source tree
+  if (sourceDir && fs.existsSync(sourceDir)) {
+    findYamlFiles(sourceDir).forEach(filePath => {
+      try {
+        const data = yaml.load(fs.readFileSync(filePath, 'utf8'));
+        (data?.semantic_models || []).forEach(semanticModel => {
+          semanticModels.set(semanticModel.name, semanticModel);
+          (semanticModel.measures || []).forEach(measure => measureOwners.set(measure.name, semanticModel.name));
+        });
+        (data?.metrics || []).forEach(metric => {
+          if (metricsByName.has(metric.name)) {
+            console.warn(`Warning: Metric '${metric.name}' is defined more than once, using the first definition`);
+            return;
+          }
+          metricsByName.set(metric.name, metric);
+        });
+      } catch (error) {
+        console.warn(`Could not read metrics from ${filePath}: ${error.message}`);
+      }
+    });
+  }
+
+  // fill in metrics and measures from the semantic manifest
+  if (manifestPath && fs.existsSync(manifestPath)) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      (manifest.semantic_models || []).forEach(semanticModel => {
+        (semanticModel.measures || []).forEach(measure => {
+          if (!measureOwners.has(measure.name)) {
+            measureOwners.set(measure.name, semanticModel.name);
+          }
+        });
+      });
+      (manifest.metrics || []).forEach(manifestMetric => {
+        if (!metricsByName.has(manifestMetric.name)) {
+          metricsByName.set(manifestMetric.name, normalizeManifestMetric(manifestMetric));
+        }
+      });
+    } catch (error) {
+      console.warn(`Could not read metrics from ${manifestPath}: ${error.message}`);
+    }
+  }
+
+  // add the implicit metrics of measures with create_metric: true (the manifest lists them with the other metrics)
+  for (const semanticModel of semanticModels.values()) {
+    buildImplicitMetrics(semanticModel, [...metricsByName.values()]).forEach(metric => metricsByName.set(metric.name, metric));
+  }
+
+  // attribute each metric to the semantic models owning its measures
+  const metricOwners = new Map(); // metric name -> array of semantic model names
+  const unattributedMetrics = [];
+  for (const metric of metricsByName.values()) {
+    const owners = [...resolveMetricOwners(metric, metricsByName, measureOwners)];
+    metricOwners.set(metric.name, owners);
+    if (owners.length === 0) {
+      unattributedMetrics.push(metric.name);
+    }
+  }
+
+  if (unattributedMetrics.length > 0) {
+    console.warn(`Warning: No semantic model owns the measures of metric(s): ${unattributedMetrics.join(', ')}`);
+  }
+
+  return {
+    metrics: [...metricsByName.values()],
+    metricOwners,
+    unattributedMetrics,
+    semanticModels
+  };
+}
+
+/**
+ * get the metrics attributed to a semantic model
+ * metrics using measures of several semantic models are attributed to each of them
+ * @param {Object} registry - registry built by buildMetricRegistry
+ * @param {string} semanticModelName - name of the semantic model
+ * @returns {Array<Object>} metrics attributed to the semantic model
+ */
+function getMetricsForModel(registry, semanticModelName) {
+  return registry.metrics.filter(metric => (registry.metricOwners.get(metric.name) || []).includes(semanticModelName));
+}
+
+module.exports = {
+  buildImplicitMetrics,
+  buildMetricRegistry,
+  getMetricsForModel
+};
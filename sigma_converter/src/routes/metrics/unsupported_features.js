@@ -0,0 +1,35 @@
+/**
+ * report a dbt feature that cannot be represented in the Sigma data model
+ * the report is collected in options.unsupportedFeatures and written to unsupported_features.yml by convertSemantics,
+ * so that metrics and dimensions are not dropped silently. features that are already reported are skipped
+ * @param {Object} options - conversion options
+ * @param {Array<Object>} options.unsupportedFeatures - collected unsupported features
+ * @param {Object} feature - unsupported feature
+ * @param {string} feature.semanticModel - name of the semantic model being converted
+ * @param {string} feature.metric - name of the metric (or dimension) that cannot be converted
+ * @param {string} feature.feature - dbt feature that is not supported (e.g. conversion.constant_properties)
+ * @param {string} feature.reason - why the feature cannot be converted
+ */
+function reportUnsupportedFeature(options, { semanticModel, metric, feature, reason }) {
+  // metrics converted again with a filter inherited from a referencing metric report the same features again
+  const isReported = options?.unsupportedFeatures?.some?.(reported => reported.semanticModel === semanticModel
+    && reported.metric === metric && reported.feature === feature && reported.reason === reason);
+  if (isReported) {
+    return;
+  }
+
+  console.warn(`Warning: Unsupported feature '${feature}' in '${metric}' (${semanticModel}): ${reason}`);
+
+  if (options && Array.isArray(options.unsupportedFeatures)) {
+    options.unsupportedFeatures.push({
+      semanticModel,
+      metric,
+      feature,
+      reason
+    });
+  }
+}
+
+module.exports = {
+  reportUnsupportedFeature
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../../../.env') });
+
+/**
+ * SQL dialect profiles of the supported warehouses
+ * the same expression text can mean different things in each warehouse, so the expression converter and the
+ * warehouse path builder read these settings:
+ *   identifierQuote          - quote of identifiers ("Order Date" or `order-id`); double quotes are strings in
+ *                              BigQuery and Databricks
+ *   unquotedIdentifierCase   - case unquoted identifiers are stored in ('upper', 'lower' or null when kept as written)
+ *   datePartFirst            - date part is the first argument of date_trunc and date_diff (last in BigQuery)
+ *   weekdayBase              - number of Sunday in day-of-week date parts (0 in Snowflake, Redshift and Postgres)
+ *   substringFromEnd         - substring reads a start of 0 as 1 and negative starts from the end of the string
+ *                              (in Redshift and Postgres, positions before 1 shorten the substring)
+ *   regexpReplaceAll         - regexp_replace replaces all matches without flags (only the first one in Postgres)
+ *   backslashEscapes         - a backslash escapes the next character of strings ('it\'s'); strings are standard SQL
+ *                              in Redshift and Postgres, where a backslash is an ordinary character
+ *   splitPart                - split_part exists (BigQuery splits strings into arrays: split(email, '@')[offset(1)])
+ *   conditionalFunctions     - names of the function form of if-then-else (iff in Snowflake, if in BigQuery)
+ */
+const DIALECTS = {
+  snowflake: {
+    name: 'snowflake',
+    identifierQuote: '"',
+    unquotedIdentifierCase: 'upper',
+    datePartFirst: true,
+    weekdayBase: 0,
+    substringFromEnd: true,
+    regexpReplaceAll: true,
+    backslashEscapes: true,
+    splitPart: true,
+    conditionalFunctions: ['iff']
+  },
+  bigquery: {
+    name: 'bigquery',
+    identifierQuote: '`',
+    unquotedIdentifierCase: null,
+    datePartFirst: false,
+    weekdayBase: 1,
+    substringFromEnd: true,
+    regexpReplaceAll: true,
+    backslashEscapes: true,
+    splitPart: false,
+    conditionalFunctions: ['if']
+  },
+  databricks: {
+    name: 'databricks',
+    identifierQuote: '`',
+    unquotedIdentifierCase: 'lower',
+    datePartFirst: true,
+    weekdayBase: 1,
+    substringFromEnd: true,
+    regexpReplaceAll: true,
+    backslashEscapes: true,
+    splitPart: true,
+    conditionalFunctions: ['if', 'iff']
+  },
+  redshift: {
+    name: 'redshift',
+    identifierQuote: '"',
+    unquotedIdentifierCase: 'lower',
+    datePartFirst: true,
+    weekdayBase: 0,
+    substringFromEnd: false,
+    regexpReplaceAll: true,
+    backslashEscapes: false,
+    splitPart: true,
+    conditionalFunctions: []
+  },
+  postgres: {
+    name: 'postgres',
+    identifierQuote: '"',
+    unquotedIdentifierCase: 'lower',
+    datePartFirst: true,
+    weekdayBase: 0,
+    substringFromEnd: false,
+    regexpReplaceAll: false,
+    backslashEscapes: false,
+    splitPart: true,
+    conditionalFunctions: []
+  }
+};
+
+// dialect used when neither SQL_DIALECT nor the manifest's adapter type is set (the converter was built for Snowflake)
+const DEFAULT_DIALECT = 'snowflake';
+
+// dbt adapter types of the dialects
+const ADAPTER_DIALECTS = {
+  snowflake: 'snowflake',
+  bigquery: 'bigquery',
+  databricks: 'databricks',
+  spark: 'databricks',
+  redshift: 'redshift',
+  postgres: 'postgres'
+};
+
+/**
+ * get a SQL dialect profile by name
+ * @param {string} name - dialect name (snowflake, bigquery, databricks, redshift or postgres)
+ * @returns {Object} dialect profile
+ * @throws {Error} if the dialect is not supported
+ */
+function getDialect(name = DEFAULT_DIALECT) {
+  const dialect = DIALECTS[String(name).toLowerCase()];
+  if (!dialect) {
+    throw new Error(`Unsupported SQL dialect '${name}' (supported: ${Object.keys(DIALECTS).join(', ')})`);
+  }
+  return dialect;
+}
+
+/**
+ * get the options of parseExpression for the expressions of a dialect
+ * example: getParseOptions(getDialect('postgres')) -> {doubleQuotedIdentifiers: true, backslashEscapes: false}
+ * @param {Object} dialect - SQL dialect profile
+ * @returns {Object} parser options (see routes/sql/parse.js)
+ */
+function getParseOptions(dialect) {
+  return {
+    // double quoted values are identifiers ("Order Date") unless the dialect quotes identifiers with backticks
+    doubleQuotedIdentifiers: dialect.identifierQuote === '"',
+    backslashEscapes: dialect.backslashEscapes
+  };
+}
+
+/**
+ * resolve the SQL dialect of the dbt project
+ * SQL_DIALECT takes precedence, then the adapter type of the manifest (metadata.adapter_type), then Snowflake
+ * @param {string} manifestPath - path to semantic_manifest.json (optional)
+ * @returns {Object} dialect profile
+ * @throws {Error} if SQL_DIALECT is not a supported dialect
+ */
+function resolveDialect(manifestPath) {
+  if (process.env.SQL_DIALECT) {
+    return getDialect(process.env.SQL_DIALECT);
+  }
+
+  if (manifestPath && fs.existsSync(manifestPath)) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      const adapterType = manifest.metadata?.adapter_type;
+      if (adapterType && ADAPTER_DIALECTS[adapterType.toLowerCase()]) {
+        return getDialect(ADAPTER_DIALECTS[adapterType.toLowerCase()]);
+      }
+      if (adapterType) {
+        console.warn(`Adapter type '${adapterType}' has no SQL dialect, using ${DEFAULT_DIALECT}`);
+      }
+    } catch (error) {
+      console.warn(`Could not read the adapter type from ${manifestPath}: ${error.message}`);
+    }
+  }
+
+  return getDialect(DEFAULT_DIALECT);
+}
+
+/**
+ * get the warehouse name of an identifier of a relation name: quoted identifiers keep their case and unquoted
+ * identifiers are stored in the case of the dialect
+ * examples: orders -> ORDERS (Snowflake), "Orders" -> Orders, `orders` -> orders (BigQuery)
+ * @param {string} identifier - identifier as written in the relation name
+ * @param {Object} dialect - SQL dialect profile
+ * @returns {string} warehouse name of the identifier
+ */
+function getWarehouseIdentifier(identifier, dialect) {
+  if (/^["`]/.test(identifier)) {
+    return identifier.slice(1, -1);
+  }
+  if (dialect.unquotedIdentifierCase === 'upper') {
+    return identifier.toUpperCase();
+  }
+  if (dialect.unquotedIdentifierCase === 'lower') {
+    return identifier.toLowerCase();
+  }
+  return identifier;
+}
+
+/**
+ * get the warehouse path [database, schema, table] of a dbt node relation
+ * the path is read from the relation name, each part keeping its case when quoted and taking the case of the dialect
+ * otherwise; the database and schema of the node relation fill in the parts missing from the relation name
+ * examples: ANALYTICS.dbt.orders -> [ANALYTICS, DBT, ORDERS] (Snowflake),
+ *   "analytics"."Dbt"."Orders" -> [analytics, Dbt, Orders], `project`.`dataset`.`orders` -> [project, dataset, orders] (BigQuery)
+ * @param {Object} nodeRelation - node_relation of a manifest semantic model or time spine {database, schema_name, relation_name}
+ * @param {Object} dialect - SQL dialect profile
+ * @returns {[string, string, string]} [database, schema, table]
+ */
+function getWarehouseTablePath(nodeRelation, dialect) {
+  const parts = nodeRelation.relation_name.match(/"[^"]*"|`[^`]*`|[^.]+/g);
+  const path = [nodeRelation.database, nodeRelation.schema_name].slice(0, Math.max(0, 3 - parts.length)).concat(parts.slice(-3));
+  return path.map(identifier => getWarehouseIdentifier(String(identifier), dialect));
+}
+
+module.exports = {
+  DIALECTS,
+  DEFAULT_DIALECT,
+  getDialect,
+  getParseOptions,
+  resolveDialect,
+  getWarehouseTablePath
+};
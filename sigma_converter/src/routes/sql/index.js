@@ -0,0 +1,26 @@
+const { syntaxError, tokenize } = require('./tokenize');
+const { RESERVED_KEYWORDS, parseExpression } = require('./parse');
+const {
+  PRECEDENCE, CAST_FUNCTIONS, CURRENT_TIME_FUNCTIONS, getPrecedence, quoteString, isDateNode, emitSigmaNode
+} = require('./sigma_formula');
+const { DIALECTS, DEFAULT_DIALECT, getDialect, getParseOptions, resolveDialect, getWarehouseTablePath } = require('./dialects');
+
+module.exports = {
+  syntaxError,
+  tokenize,
+  RESERVED_KEYWORDS,
+  parseExpression,
+  PRECEDENCE,
+  CAST_FUNCTIONS,
+  CURRENT_TIME_FUNCTIONS,
+  getPrecedence,
+  quoteString,
+  isDateNode,
+  emitSigmaNode,
+  DIALECTS,
+  DEFAULT_DIALECT,
+  getDialect,
+  getParseOptions,
+  resolveDialect,
+  getWarehouseTablePath
+};
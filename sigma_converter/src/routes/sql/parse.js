@@ -0,0 +1,595 @@
+const { syntaxError, tokenize } = require('./tokenize');
+
+// keywords that cannot be used as column names
+const RESERVED_KEYWORDS = new Set([
+  'and', 'or', 'not', 'in', 'is', 'null', 'like', 'ilike', 'between', 'true', 'false',
+  'case', 'when', 'then', 'else', 'end'
+]);
+
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '>', '<=', '>='];
+
+// functions called without parentheses
+const NILADIC_FUNCTIONS = ['current_date', 'current_timestamp'];
+
+// words of multi-word type names (double precision, character varying, timestamp with time zone)
+const TYPE_NAME_WORDS = ['precision', 'varying', 'with', 'without', 'local', 'time', 'zone'];
+
+// functions with the CAST(expression AS type) syntax (TRY_CAST and SAFE_CAST return null if the value cannot be cast)
+const CAST_KEYWORDS = ['cast', 'try_cast', 'safe_cast'];
+
+// keywords of typed literals (date '2024-01-01', interval '30 days')
+const TYPED_LITERAL_KEYWORDS = ['date', 'timestamp', 'interval'];
+
+/**
+ * describe a token for error messages
+ * @param {Object} token - token returned by tokenize
+ * @returns {string} description of the token (e.g. "')'", "'won'", "end of input")
+ */
+function describeToken(token) {
+  if (token.type === 'eof') {
+    return 'end of input';
+  }
+  if (token.type === 'string') {
+    return `${token.quote}${token.value}${token.quote}`;
+  }
+  return `'${token.value}'`;
+}
+
+/**
+ * parse a SQL expression (with MetricFlow Jinja references) into an AST
+ *
+ * grammar (lowest to highest precedence):
+ *   or         := and (OR and)*
+ *   and        := not (AND not)*
+ *   not        := NOT not | predicate
+ *   predicate  := additive [comparison | [NOT] IN (list) | IS [NOT] (NULL | TRUE | FALSE | DISTINCT FROM additive)
+ *                 | [NOT] LIKE/ILIKE additive
+ *                 | [NOT] BETWEEN additive AND additive]
+ *   additive   := multiplicative ((+ | - | ||) multiplicative)*
+ *   multiplicative := unary ((* | / | %) unary)*
+ *   unary      := - unary | postfix
+ *   postfix    := primary (:: type | [ or ])*
+ *   primary    := literal | typed literal | ( or ) | {{ reference }} | CASE ... END | [TRY_|SAFE_]CAST(or AS type)
+ *                 | EXTRACT(part FROM or) | SUBSTRING(or FROM or [FOR or])
+ *                 | function(* | [DISTINCT] args) [OVER (window)]
+ *                 | SELECT ... (subquery inside parentheses) | column
+ *
+ * AST nodes:
+ *   {type: 'logical', operator: 'and'|'or', operands}
+ *   {type: 'not', operand}
+ *   {type: 'comparison', operator, left, right}          (<> is normalized to !=)
+ *   {type: 'in', negated, expression, values}
+ *   {type: 'is_null', negated, expression}
+ *   {type: 'is_boolean', negated, expression, value}     (x IS [NOT] TRUE, x IS [NOT] FALSE)
+ *   {type: 'is_distinct', negated, left, right}          (x IS [NOT] DISTINCT FROM y)
+ *   {type: 'like', operator: 'like'|'ilike', negated, expression, pattern}
+ *   {type: 'between', negated, expression, low, high}
+ *   {type: 'binary', operator, left, right}              (arithmetic and ||)
+ *   {type: 'unary', operator: '-', operand}
+ *   {type: 'literal', valueType: 'string'|'number'|'boolean'|'null', value}
+ *   {type: 'cast', expression, targetType}               (x::date, CAST(x AS date), TRY_CAST(x AS date) and
+ *                                                         date '2024-01-01'; targetType is lowercase without size)
+ *   {type: 'subscript', expression, index}               (array element, e.g. split(email, '@')[offset(1)])
+ *   {type: 'interval', value}                            (interval '30 days', interval '30' day, interval 30 day)
+ *   {type: 'case', operand, whens: [{condition, result}], else}  (operand is null for searched CASE)
+ *   {type: 'column', name, path, quoted}                 (path holds the qualifiers of a.b.c)
+ *   {type: 'function', name, args, distinct}             (EXTRACT(year FROM x) has the args [year column, x],
+ *                                                         SUBSTRING(x FROM 2 FOR 3) the args [x, 2, 3],
+ *                                                         count(distinct x) is distinct)
+ *   {type: 'star'}                                       (the argument of count(*))
+ *   {type: 'window', function, partitionBy, orderBy: [{expression, descending}], frame}
+ *                                                        (function OVER (...), frame is lowercase text or null)
+ *   {type: 'subquery'}                                   (the subquery itself is not parsed)
+ *   {type: 'reference', kind, args, kwargs, methods}     (Jinja, e.g. {{ Dimension('order__status') }})
+ * every node has the position of the token it starts at (start), used to report the node in error messages.
+ * identifiers quoted with backticks are columns; identifiers quoted with double quotes are columns when
+ * options.doubleQuotedIdentifiers is set and strings otherwise (BigQuery and Databricks, see getParseOptions).
+ *
+ * example: {{ Dimension('order__status') }} in ('won', 'lost') and amount > 10
+ *   -> {type: 'logical', operator: 'and', operands: [{type: 'in', ...}, {type: 'comparison', ...}]}
+ * @param {string} input - SQL expression
+ * @param {Object} options - parser options
+ * @param {boolean} options.doubleQuotedIdentifiers - parse double quoted values as identifiers ("Order Date")
+ * @param {boolean} options.backslashEscapes - a backslash escapes the next character of quoted values (see tokenize)
+ * @returns {Object} AST of the expression
+ * @throws {Error} with the position of the error if the expression cannot be parsed
+ */
+function parseExpression(input, options = {}) {
+  const tokens = tokenize(input, { backslashEscapes: options.backslashEscapes });
+  let position = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(position + offset, tokens.length - 1)];
+  const next = () => tokens[position++];
+
+  const isKeyword = (token, keyword) => token.type === 'identifier' && !token.quoted && token.value.toLowerCase() === keyword;
+  const isQuotedIdentifier = (token) => (token.type === 'identifier' && token.quoted)
+    || (token.type === 'string' && token.quote === '"' && Boolean(options.doubleQuotedIdentifiers));
+  const isOperator = (token, operator) => token.type === 'operator' && token.value === operator;
+
+  const fail = (message, token = peek()) => syntaxError(message, input, token.start);
+
+  const expectOperator = (operator) => {
+    const token = next();
+    if (!isOperator(token, operator)) {
+      throw fail(`Expected '${operator}' but found ${describeToken(token)}`, token);
+    }
+    return token;
+  };
+
+  const acceptKeyword = (keyword) => {
+    if (isKeyword(peek(), keyword)) {
+      return next();
+    }
+    return null;
+  };
+
+  const expectKeyword = (keyword) => {
+    const token = next();
+    if (!isKeyword(token, keyword)) {
+      throw fail(`Expected '${keyword.toUpperCase()}' but found ${describeToken(token)}`, token);
+    }
+    return token;
+  };
+
+  // comma separated list up to the closing parenthesis (the opening parenthesis is already consumed)
+  const parseList = (parseItem) => {
+    const items = [];
+    if (isOperator(peek(), ')')) {
+      next();
+      return items;
+    }
+    items.push(parseItem());
+    while (isOperator(peek(), ',')) {
+      next();
+      items.push(parseItem());
+    }
+    expectOperator(')');
+    return items;
+  };
+
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (acceptKeyword('or')) {
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'logical', operator: 'or', operands, start: operands[0].start };
+  };
+
+  const parseAnd = () => {
+    const operands = [parseNot()];
+    while (acceptKeyword('and')) {
+      operands.push(parseNot());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'logical', operator: 'and', operands, start: operands[0].start };
+  };
+
+  const parseNot = () => {
+    const notToken = acceptKeyword('not');
+    if (notToken) {
+      return { type: 'not', operand: parseNot(), start: notToken.start };
+    }
+    return parsePredicate();
+  };
+
+  const parsePredicate = () => {
+    const expression = parseAdditive();
+    const token = peek();
+
+    if (token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+      next();
+      const operator = token.value === '<>' ? '!=' : token.value;
+      return { type: 'comparison', operator, left: expression, right: parseAdditive(), start: token.start };
+    }
+
+    // IS [NOT] NULL, IS [NOT] TRUE/FALSE and IS [NOT] DISTINCT FROM
+    if (acceptKeyword('is')) {
+      const negated = Boolean(acceptKeyword('not'));
+      const booleanToken = acceptKeyword('true') || acceptKeyword('false');
+      if (booleanToken) {
+        return { type: 'is_boolean', negated, expression, value: isKeyword(booleanToken, 'true'), start: token.start };
+      }
+      if (acceptKeyword('distinct')) {
+        expectKeyword('from');
+        return { type: 'is_distinct', negated, left: expression, right: parseAdditive(), start: token.start };
+      }
+      if (!acceptKeyword('null')) {
+        throw fail(`Expected NULL, TRUE, FALSE or DISTINCT FROM but found ${describeToken(peek())}`, peek());
+      }
+      return { type: 'is_null', negated, expression, start: token.start };
+    }
+
+    // NOT IN, NOT LIKE, NOT ILIKE and NOT BETWEEN
+    const negated = isKeyword(token, 'not') && ['in', 'like', 'ilike', 'between'].some(k => isKeyword(peek(1), k));
+    if (negated) {
+      next();
+    }
+
+    if (acceptKeyword('in')) {
+      expectOperator('(');
+      if (isOperator(peek(), ')')) {
+        throw fail('IN needs at least one value', peek());
+      }
+      return { type: 'in', negated, expression, values: parseList(parseAdditive), start: token.start };
+    }
+
+    const likeToken = acceptKeyword('like') || acceptKeyword('ilike');
+    if (likeToken) {
+      return { type: 'like', operator: likeToken.value.toLowerCase(), negated, expression, pattern: parseAdditive(), start: token.start };
+    }
+
+    if (acceptKeyword('between')) {
+      const low = parseAdditive();
+      expectKeyword('and');
+      return { type: 'between', negated, expression, low, high: parseAdditive(), start: token.start };
+    }
+
+    return expression;
+  };
+
+  const parseAdditive = () => {
+    let left = parseMultiplicative();
+    while (['+', '-', '||'].some(op => isOperator(peek(), op))) {
+      const operatorToken = next();
+      left = { type: 'binary', operator: operatorToken.value, left, right: parseMultiplicative(), start: operatorToken.start };
+    }
+    return left;
+  };
+
+  const parseMultiplicative = () => {
+    let left = parseUnary();
+    while (['*', '/', '%'].some(op => isOperator(peek(), op))) {
+      const operatorToken = next();
+      left = { type: 'binary', operator: operatorToken.value, left, right: parseUnary(), start: operatorToken.start };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOperator(peek(), '-')) {
+      const operatorToken = next();
+      return { type: 'unary', operator: '-', operand: parseUnary(), start: operatorToken.start };
+    }
+    return parsePostfix();
+  };
+
+  const parsePostfix = () => {
+    let expression = parsePrimary();
+    while (isOperator(peek(), '::') || isOperator(peek(), '[')) {
+      const operatorToken = next();
+      if (operatorToken.value === '[') {
+        expression = { type: 'subscript', expression, index: parseOr(), start: operatorToken.start };
+        expectOperator(']');
+      } else {
+        expression = { type: 'cast', expression, targetType: parseTypeName(), start: operatorToken.start };
+      }
+    }
+    return expression;
+  };
+
+  // type of a cast, with optional precision and scale which are not kept (e.g. varchar(10), numeric(10, 2))
+  const parseTypeName = () => {
+    const token = next();
+    if (token.type !== 'identifier') {
+      throw fail(`Expected a type name but found ${describeToken(token)}`, token);
+    }
+    const names = [token.value.toLowerCase()];
+    while (peek().type === 'identifier' && !peek().quoted && TYPE_NAME_WORDS.includes(peek().value.toLowerCase())) {
+      names.push(next().value.toLowerCase());
+    }
+    if (isOperator(peek(), '(')) {
+      next();
+      parseList(() => {
+        const sizeToken = next();
+        if (sizeToken.type !== 'number') {
+          throw fail(`Expected a number but found ${describeToken(sizeToken)}`, sizeToken);
+        }
+      });
+    }
+    return names.join(' ');
+  };
+
+  // Jinja reference: {{ Kind('arg', ..., keyword=['arg', ...]).method('arg', ...) }}
+  const parseReference = () => {
+    const nameToken = next();
+    if (nameToken.type !== 'identifier') {
+      throw fail(`Expected a reference such as Dimension(...) but found ${describeToken(nameToken)}`, nameToken);
+    }
+    expectOperator('(');
+    const reference = { type: 'reference', kind: nameToken.value, args: [], kwargs: {}, methods: [], start: nameToken.start };
+
+    // positional arguments followed by keyword arguments (e.g. Metric('revenue', group_by=['customer']))
+    parseList(() => {
+      if (peek().type === 'identifier' && isOperator(peek(1), '=')) {
+        const keyToken = next();
+        next();
+        reference.kwargs[keyToken.value] = parseReferenceArg();
+      } else if (Object.keys(reference.kwargs).length > 0) {
+        throw fail('Positional argument after keyword argument');
+      } else {
+        reference.args.push(parseReferenceArg());
+      }
+    });
+
+    while (isOperator(peek(), '.')) {
+      next();
+      const methodToken = next();
+      if (methodToken.type !== 'identifier') {
+        throw fail(`Expected a method name but found ${describeToken(methodToken)}`, methodToken);
+      }
+      expectOperator('(');
+      reference.methods.push({ name: methodToken.value, args: parseList(parseReferenceArg) });
+    }
+
+    expectOperator('}}');
+    return reference;
+  };
+
+  // arguments of Jinja references are string or number literals, or lists of them (e.g. group_by=['customer'])
+  const parseReferenceArg = () => {
+    const token = next();
+    if (token.type === 'string') {
+      return token.value;
+    }
+    if (token.type === 'number') {
+      return Number(token.value);
+    }
+    if (isOperator(token, '[')) {
+      const items = [];
+      while (!isOperator(peek(), ']')) {
+        items.push(parseReferenceArg());
+        if (!isOperator(peek(), ']')) {
+          expectOperator(',');
+        }
+      }
+      next();
+      return items;
+    }
+    throw fail(`Unsupported reference argument ${describeToken(token)}`, token);
+  };
+
+  // OVER ([PARTITION BY expressions] [ORDER BY expression [ASC|DESC] [NULLS FIRST|LAST], ...] [frame])
+  // (the OVER keyword is already consumed); the frame (e.g. ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW)
+  // is kept as lowercase text
+  const parseWindow = (functionNode) => {
+    expectOperator('(');
+    const window = { type: 'window', function: functionNode, partitionBy: [], orderBy: [], frame: null, start: functionNode.start };
+
+    if (acceptKeyword('partition')) {
+      expectKeyword('by');
+      window.partitionBy.push(parseOr());
+      while (isOperator(peek(), ',')) {
+        next();
+        window.partitionBy.push(parseOr());
+      }
+    }
+
+    const parseOrderItem = () => {
+      const expression = parseOr();
+      const descending = Boolean(acceptKeyword('desc'));
+      if (!descending) {
+        acceptKeyword('asc');
+      }
+      if (acceptKeyword('nulls') && !acceptKeyword('first')) {
+        expectKeyword('last');
+      }
+      return { expression, descending };
+    };
+
+    if (acceptKeyword('order')) {
+      expectKeyword('by');
+      window.orderBy.push(parseOrderItem());
+      while (isOperator(peek(), ',')) {
+        next();
+        window.orderBy.push(parseOrderItem());
+      }
+    }
+
+    if (['rows', 'range', 'groups'].some(keyword => isKeyword(peek(), keyword))) {
+      const frameWords = [];
+      while ((peek().type === 'identifier' && !peek().quoted) || peek().type === 'number') {
+        frameWords.push(next().value.toLowerCase());
+      }
+      window.frame = frameWords.join(' ');
+    }
+
+    expectOperator(')');
+    return window;
+  };
+
+  // scalar subquery: the tokens up to the parenthesis closing the subquery are skipped (the opening parenthesis
+  // is consumed by the caller and the closing one is left to it)
+  const parseSubquery = (selectToken) => {
+    let depth = 0;
+    while (depth > 0 || !isOperator(peek(), ')')) {
+      const token = next();
+      if (token.type === 'eof') {
+        throw fail('Unterminated subquery', selectToken);
+      }
+      if (isOperator(token, '(')) {
+        depth += 1;
+      } else if (isOperator(token, ')')) {
+        depth -= 1;
+      }
+    }
+    return { type: 'subquery', start: selectToken.start };
+  };
+
+  // CASE [operand] WHEN condition THEN result ... [ELSE result] END (the CASE keyword is already consumed)
+  const parseCase = (caseToken) => {
+    const operand = isKeyword(peek(), 'when') ? null : parseOr();
+    const whens = [];
+    while (acceptKeyword('when')) {
+      const condition = parseOr();
+      expectKeyword('then');
+      whens.push({ condition, result: parseOr() });
+    }
+    if (whens.length === 0) {
+      throw fail(`Expected 'WHEN' but found ${describeToken(peek())}`);
+    }
+    const elseResult = acceptKeyword('else') ? parseOr() : null;
+    expectKeyword('end');
+    return { type: 'case', operand, whens, else: elseResult, start: caseToken.start };
+  };
+
+  // column with optional qualifiers (schema.table.column), each part may be quoted
+  const parseColumn = (token) => {
+    const names = [token.value];
+    let quoted = isQuotedIdentifier(token);
+    while (isOperator(peek(), '.') && (peek(1).type === 'identifier' || isQuotedIdentifier(peek(1)))) {
+      next();
+      const partToken = next();
+      names.push(partToken.value);
+      quoted = isQuotedIdentifier(partToken);
+    }
+    return { type: 'column', name: names[names.length - 1], path: names.slice(0, -1), quoted, start: token.start };
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (isQuotedIdentifier(token)) {
+      return parseColumn(token);
+    }
+
+    if (token.type === 'string') {
+      return { type: 'literal', valueType: 'string', value: token.value, quote: token.quote, start: token.start };
+    }
+
+    if (token.type === 'number') {
+      return { type: 'literal', valueType: 'number', value: token.value, start: token.start };
+    }
+
+    if (isOperator(token, '(')) {
+      const expression = parseOr();
+      expectOperator(')');
+      return expression;
+    }
+
+    if (isOperator(token, '{{')) {
+      return parseReference();
+    }
+
+    if (token.type === 'identifier') {
+      const keyword = token.value.toLowerCase();
+      if (keyword === 'true' || keyword === 'false') {
+        return { type: 'literal', valueType: 'boolean', value: keyword === 'true', start: token.start };
+      }
+      if (keyword === 'null') {
+        return { type: 'literal', valueType: 'null', value: null, start: token.start };
+      }
+      if (keyword === 'case') {
+        return parseCase(token);
+      }
+      if (RESERVED_KEYWORDS.has(keyword)) {
+        throw fail(`Unexpected keyword '${token.value.toUpperCase()}'`, token);
+      }
+
+      // interval 30 day
+      if (keyword === 'interval' && peek().type === 'number') {
+        const value = next().value;
+        const unitToken = next();
+        if (unitToken.type !== 'identifier' || unitToken.quoted) {
+          throw fail(`Expected a date part but found ${describeToken(unitToken)}`, unitToken);
+        }
+        return { type: 'interval', value: `${value} ${unitToken.value}`, start: token.start };
+      }
+
+      // date '2024-01-01', timestamp '2024-01-01 10:00:00', interval '30 days' and interval '30' day
+      if (TYPED_LITERAL_KEYWORDS.includes(keyword) && peek().type === 'string' && !isQuotedIdentifier(peek())) {
+        const value = next().value;
+        if (keyword !== 'interval') {
+          return {
+            type: 'cast',
+            expression: { type: 'literal', valueType: 'string', value, start: token.start },
+            targetType: keyword,
+            start: token.start
+          };
+        }
+        const unitToken = peek().type === 'identifier' && !peek().quoted && !RESERVED_KEYWORDS.has(peek().value.toLowerCase()) ? next() : null;
+        return { type: 'interval', value: unitToken ? `${value} ${unitToken.value}` : value, start: token.start };
+      }
+
+      if (CAST_KEYWORDS.includes(keyword) && isOperator(peek(), '(')) {
+        next();
+        const expression = parseOr();
+        expectKeyword('as');
+        const targetType = parseTypeName();
+        expectOperator(')');
+        return { type: 'cast', expression, targetType, start: token.start };
+      }
+
+      // EXTRACT(part FROM expression) is parsed as the function extract(part, expression)
+      if (keyword === 'extract' && isOperator(peek(), '(')) {
+        next();
+        const partToken = next();
+        if (partToken.type !== 'identifier') {
+          throw fail(`Expected a date part but found ${describeToken(partToken)}`, partToken);
+        }
+        const datePart = parseColumn(partToken);
+        expectKeyword('from');
+        const expression = parseOr();
+        expectOperator(')');
+        return { type: 'function', name: token.value, args: [datePart, expression], start: token.start };
+      }
+
+      // SUBSTRING(expression FROM start [FOR length]) is parsed as the function substring(expression, start[, length])
+      if (keyword === 'substring' && isOperator(peek(), '(') && !isOperator(peek(1), ')')) {
+        next();
+        const expression = parseOr();
+        if (acceptKeyword('from')) {
+          const args = [expression, parseOr()];
+          if (acceptKeyword('for')) {
+            args.push(parseOr());
+          }
+          expectOperator(')');
+          return { type: 'function', name: token.value, args, start: token.start };
+        }
+        const args = [expression];
+        if (isOperator(peek(), ',')) {
+          next();
+          args.push(...parseList(parseOr));
+        } else {
+          expectOperator(')');
+        }
+        return { type: 'function', name: token.value, args, start: token.start };
+      }
+
+      if (NILADIC_FUNCTIONS.includes(keyword) && !isOperator(peek(), '(')) {
+        return { type: 'function', name: token.value, args: [], start: token.start };
+      }
+
+      if (keyword === 'select') {
+        return parseSubquery(token);
+      }
+
+      if (isOperator(peek(), '(')) {
+        next();
+        const functionNode = { type: 'function', name: token.value, args: [], distinct: false, start: token.start };
+        // count(*) and count(distinct x) are parsed so that aggregate functions are reported as such
+        if (isOperator(peek(), '*') && isOperator(peek(1), ')')) {
+          functionNode.args.push({ type: 'star', start: next().start });
+          next();
+        } else {
+          functionNode.distinct = Boolean(acceptKeyword('distinct'));
+          functionNode.args = parseList(parseOr);
+        }
+        return acceptKeyword('over') ? parseWindow(functionNode) : functionNode;
+      }
+
+      return parseColumn(token);
+    }
+
+    throw fail(`Unexpected ${describeToken(token)}`, token);
+  };
+
+  const ast = parseOr();
+  if (peek().type !== 'eof') {
+    throw fail(`Unexpected ${describeToken(peek())}`);
+  }
+  return ast;
+}
+
+module.exports = {
+  RESERVED_KEYWORDS,
+  parseExpression
+};
@@ -0,0 +1,355 @@
+const { parseWindow } = require('../time');
+
+// precedence of AST nodes in Sigma formulas, used to add parentheses only where they are needed
+const PRECEDENCE = {
+  or: 1,
+  and: 2,
+  predicate: 3,
+  additive: 4,
+  multiplicative: 5,
+  unary: 6,
+  primary: 7
+};
+
+// Sigma functions converting a value to the type of a SQL cast
+// (type names of Snowflake, BigQuery, Databricks, Redshift and Postgres; sizes such as number(18,2) are dropped)
+const CAST_FUNCTIONS = {
+  date: 'Date', datetime: 'Date', timestamp: 'Date', timestamptz: 'Date',
+  timestamp_ntz: 'Date', timestamp_ltz: 'Date', timestamp_tz: 'Date',
+  'timestamp with time zone': 'Date', 'timestamp without time zone': 'Date', 'timestamp with local time zone': 'Date',
+  int: 'Int', integer: 'Int', bigint: 'Int', smallint: 'Int', tinyint: 'Int', byteint: 'Int',
+  int2: 'Int', int4: 'Int', int8: 'Int', int64: 'Int', long: 'Int', short: 'Int', byte: 'Int',
+  numeric: 'Number', decimal: 'Number', dec: 'Number', number: 'Number', bignumeric: 'Number', bigdecimal: 'Number',
+  float: 'Number', float4: 'Number', float8: 'Number', float64: 'Number', double: 'Number', 'double precision': 'Number',
+  real: 'Number',
+  varchar: 'Text', text: 'Text', string: 'Text', char: 'Text', character: 'Text', 'character varying': 'Text',
+  'char varying': 'Text', nvarchar: 'Text', nchar: 'Text', bpchar: 'Text',
+  boolean: 'Logical', bool: 'Logical'
+};
+
+// Sigma functions of SQL functions returning the current date or time
+const CURRENT_TIME_FUNCTIONS = {
+  current_date: 'Today()',
+  current_timestamp: 'Now()',
+  now: 'Now()',
+  getdate: 'Now()',
+  sysdate: 'Now()'
+};
+
+/**
+ * get the precedence of an AST node
+ * @param {Object} node - AST node returned by parseExpression
+ * @returns {number} precedence of the node
+ */
+function getPrecedence(node) {
+  switch (node.type) {
+    case 'logical':
+      return PRECEDENCE[node.operator];
+    case 'comparison':
+      return PRECEDENCE.predicate;
+    case 'binary':
+      // % is emitted as the Mod function
+      if (node.operator === '%') {
+        return PRECEDENCE.primary;
+      }
+      return ['*', '/'].includes(node.operator) ? PRECEDENCE.multiplicative : PRECEDENCE.additive;
+    case 'unary':
+      return PRECEDENCE.unary;
+    default:
+      return PRECEDENCE.primary;
+  }
+}
+
+/**
+ * quote a string literal for a Sigma formula
+ * backslashes escape the next character in Sigma strings, so backslashes of the value are doubled
+ * @param {string} value - string value
+ * @returns {string} quoted string (e.g. 'won', "it's", 'C:\\')
+ */
+function quoteString(value) {
+  const escaped = value.replace(/\\/g, '\\\\');
+  if (!escaped.includes('\'')) {
+    return `'${escaped}'`;
+  }
+  if (!escaped.includes('"')) {
+    return `"${escaped}"`;
+  }
+  return `'${escaped.replace(/'/g, '\\\'')}'`;
+}
+
+/**
+ * check if an AST node is a date: the current date or time, a cast to a date (including date '2024-01-01'
+ * literals) or a date plus or minus a number of days or an interval
+ * @param {Object} node - AST node returned by parseExpression
+ * @param {Function} isDateReference - checks if a column or reference node is a date (types of columns are only
+ *   known to the caller, e.g. TimeDimension references in filters)
+ * @returns {boolean} true if the node is a date
+ */
+function isDateNode(node, isDateReference = () => false) {
+  const isDate = (child) => isDateNode(child, isDateReference);
+
+  switch (node.type) {
+    case 'function':
+      return Boolean(CURRENT_TIME_FUNCTIONS[node.name.toLowerCase()]) && node.args.length === 0;
+    case 'cast':
+      return CAST_FUNCTIONS[node.targetType] === 'Date';
+    case 'binary':
+      if (node.operator === '+') {
+        return isDate(node.left) !== isDate(node.right);
+      }
+      return node.operator === '-' && isDate(node.left) && !isDate(node.right);
+    case 'column':
+    case 'reference':
+      return isDateReference(node);
+    default:
+      return false;
+  }
+}
+
+/**
+ * cast a string literal compared with a date to a date, as the warehouse does when comparing a date with a string
+ * example: DateTrunc('month', [ordered_at]) >= '2024-01-01' is compared as DateTrunc('month', [ordered_at]) >= Date('2024-01-01')
+ * @param {Object} node - AST node compared with a date
+ * @returns {Object} cast AST node for string literals, the node itself otherwise
+ */
+function castToDate(node) {
+  if (node.type === 'literal' && node.valueType === 'string') {
+    return { type: 'cast', expression: node, targetType: 'date', start: node.start };
+  }
+  return node;
+}
+
+/**
+ * emit the Sigma formula of a comparison, casting string literals compared with a date to dates
+ * example: TimeDimension('order__ordered_at', 'month') >= '2024-01-01' -> DateTrunc('month', [ordered_at]) >= Date('2024-01-01')
+ * @param {Object} node - comparison AST node
+ * @param {Function} emitChild - emits the Sigma formula of a child node with parentheses below a precedence (child, minPrecedence)
+ * @param {Function} isDate - checks if an AST node is a date
+ * @returns {string} Sigma formula
+ */
+function emitComparison(node, emitChild, isDate) {
+  const left = isDate(node.right) ? castToDate(node.left) : node.left;
+  const right = isDate(node.left) ? castToDate(node.right) : node.right;
+  return `${emitChild(left, PRECEDENCE.additive)} ${node.operator} ${emitChild(right, PRECEDENCE.additive)}`;
+}
+
+/**
+ * emit the Sigma formula of an IN, IS, LIKE or BETWEEN predicate (shared by filters and expressions)
+ * string literals compared with a date are cast to dates. IS TRUE, IS FALSE and IS DISTINCT FROM are never null,
+ * unlike = in Sigma, so null values are handled explicitly.
+ * examples:
+ *   stage in ('Won', 'Lost')    -> arraycontains(array('Won','Lost'),[stage])
+ *   region is not null          -> isnotnull([region])
+ *   is_won is not true          -> not(Coalesce([is_won], False))
+ *   region is distinct from 'EU' -> not(Coalesce([region] = 'EU', isnull([region]) and isnull('EU')))
+ *   email not like '%@sigma%'   -> not(like([email],'%@sigma%'))
+ *   amount between 1 and 5      -> between([amount],1,5)
+ *   current_date between '2024-01-01' and '2024-12-31' -> between(Today(),Date('2024-01-01'),Date('2024-12-31'))
+ * @param {Object} node - in, is_null, is_boolean, is_distinct, like or between AST node
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} isDate - checks if an AST node is a date
+ * @returns {string} Sigma formula
+ */
+function emitPredicate(node, emit, isDate = () => false) {
+  let formula;
+  switch (node.type) {
+    case 'is_null':
+      return `${node.negated ? 'isnotnull' : 'isnull'}(${emit(node.expression)})`;
+    case 'is_boolean':
+      formula = `Coalesce(${node.value ? emit(node.expression) : `not(${emit(node.expression)})`}, False)`;
+      break;
+    case 'is_distinct': {
+      const emitOperand = (child) => (getPrecedence(child) < PRECEDENCE.additive ? `(${emit(child)})` : emit(child));
+      const left = isDate(node.right) ? castToDate(node.left) : node.left;
+      const right = isDate(node.left) ? castToDate(node.right) : node.right;
+      // values are not distinct when they are equal or both null
+      const notDistinct = `Coalesce(${emitOperand(left)} = ${emitOperand(right)}, isnull(${emit(left)}) and isnull(${emit(right)}))`;
+      return node.negated ? notDistinct : `not(${notDistinct})`;
+    }
+    case 'in': {
+      const values = isDate(node.expression) ? node.values.map(castToDate) : node.values;
+      formula = `arraycontains(array(${values.map(emit).join(',')}),${emit(node.expression)})`;
+      break;
+    }
+    case 'like':
+      // like is case-sensitive, ilike is case-insensitive
+      formula = `${node.operator}(${emit(node.expression)},${emit(node.pattern)})`;
+      break;
+    default: {
+      // bounds are inclusive in SQL and in Sigma
+      let operands = [node.expression, node.low, node.high];
+      if (operands.some(isDate)) {
+        operands = operands.map(castToDate);
+      }
+      formula = `between(${operands.map(emit).join(',')})`;
+    }
+  }
+  return node.negated ? `not(${formula})` : formula;
+}
+
+/**
+ * emit the Sigma formula of a cast
+ * examples: amount::number(18,2) -> Number([amount]), cast(flag as boolean) -> Logical([flag])
+ * @param {Object} node - cast AST node
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted (message, node)
+ * @returns {string} Sigma formula
+ * @throws {Error} if Sigma has no type matching the SQL type (e.g. variant, geography, time)
+ */
+function emitCast(node, emit, fail) {
+  const castFunction = CAST_FUNCTIONS[node.targetType];
+  if (!castFunction) {
+    throw fail(`Cast to '${node.targetType}' is not supported (no matching Sigma type)`, node);
+  }
+  return `${castFunction}(${emit(node.expression)})`;
+}
+
+/**
+ * emit the Sigma formula adding or subtracting an interval to a date
+ * example: current_date - interval '30 days' -> DateAdd('day', -30, Today())
+ * @param {Object} node - binary AST node with an interval operand
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} fail - creates the error for a node that cannot be converted (message, node)
+ * @returns {string} Sigma formula
+ * @throws {Error} if the interval cannot be parsed or is not added to or subtracted from a date
+ */
+function emitIntervalArithmetic(node, emit, fail) {
+  const [interval, date] = node.right.type === 'interval' ? [node.right, node.left] : [node.left, node.right];
+
+  if (date.type === 'interval' || !(node.operator === '+' || (node.operator === '-' && interval === node.right))) {
+    throw fail('Intervals can only be added to or subtracted from a date', node);
+  }
+
+  const parsedInterval = parseWindow(interval.value);
+  if (!parsedInterval) {
+    throw fail(`Interval '${interval.value}' is not supported`, interval);
+  }
+
+  const count = node.operator === '-' ? -parsedInterval.count : parsedInterval.count;
+  return `DateAdd('${parsedInterval.datePart}', ${count}, ${emit(date)})`;
+}
+
+/**
+ * emit the Sigma formula adding or subtracting a number of days to a date, or subtracting two dates
+ * (in SQL, date + 1 is the next day and date - date is the number of days between the dates)
+ * examples:
+ *   current_date - 30       -> DateAdd('day', -30, Today())
+ *   ordered_at::date + days -> DateAdd('day', [days], Date([ordered_at]))
+ *   current_date - shipped_at::date -> DateDiff('day', Date([shipped_at]), Today())
+ * @param {Object} node - binary AST node with a date operand
+ * @param {Function} emit - emits the Sigma formula of a child node
+ * @param {Function} isDate - checks if an AST node is a date
+ * @returns {string} Sigma formula
+ */
+function emitDateArithmetic(node, emit, isDate) {
+  if (node.operator === '-' && isDate(node.right)) {
+    return `DateDiff('day', ${emit(node.right)}, ${emit(node.left)})`;
+  }
+
+  const [date, days] = isDate(node.left) ? [node.left, node.right] : [node.right, node.left];
+  if (node.operator === '+') {
+    return `DateAdd('day', ${emit(days)}, ${emit(date)})`;
+  }
+
+  // current_date - -1 adds a day
+  if (days.type === 'unary') {
+    return `DateAdd('day', ${emit(days.operand)}, ${emit(date)})`;
+  }
+  const count = emit(days);
+  return `DateAdd('day', ${getPrecedence(days) < PRECEDENCE.unary ? `-(${count})` : `-${count}`}, ${emit(date)})`;
+}
+
+/**
+ * emit the Sigma formula of an AST node (shared by filters and expressions)
+ * logical, comparison, predicate, arithmetic, literal, cast and interval nodes are emitted the same way in filters and
+ * expressions; the other nodes (columns, Jinja references, functions, CASE, windows) are emitted by the caller
+ * examples:
+ *   amount * quantity >= 10 or not is_won -> [amount] * [quantity] >= 10 or not([is_won])
+ *   first_name || ' ' || last_name        -> [first_name] & ' ' & [last_name]
+ *   current_date - interval '30 days'     -> DateAdd('day', -30, Today())
+ * @param {Object} node - AST node returned by parseExpression
+ * @param {Object} emitter - emit functions of the caller
+ * @param {Function} emitter.emit - emits the Sigma formula of a child node (through the caller)
+ * @param {Function} emitter.emitOther - emits the Sigma formula of the nodes emitted by the caller
+ * @param {Function} emitter.fail - creates the error for a node that cannot be converted (message, node)
+ * @param {Function} emitter.isDate - checks if an AST node is a date
+ * @returns {string} Sigma formula
+ * @throws {Error} if the node cannot be represented in Sigma
+ */
+function emitSigmaNode(node, { emit, emitOther, fail, isDate = () => false }) {
+  // emit a child node, adding parentheses if it binds less tightly than its parent
+  const emitChild = (child, minPrecedence) => {
+    const formula = emit(child);
+    return getPrecedence(child) < minPrecedence ? `(${formula})` : formula;
+  };
+
+  switch (node.type) {
+    case 'logical':
+      return node.operands.map(operand => emitChild(operand, PRECEDENCE[node.operator] + 1)).join(` ${node.operator} `);
+
+    case 'not':
+      return `not(${emit(node.operand)})`;
+
+    case 'comparison':
+      return emitComparison(node, emitChild, isDate);
+
+    case 'in':
+    case 'is_null':
+    case 'is_boolean':
+    case 'is_distinct':
+    case 'like':
+    case 'between':
+      return emitPredicate(node, emit, isDate);
+
+    case 'binary': {
+      if (node.left.type === 'interval' || node.right.type === 'interval') {
+        return emitIntervalArithmetic(node, emit, fail);
+      }
+      if (['+', '-'].includes(node.operator) && (isDate(node.left) || isDate(node.right))) {
+        return emitDateArithmetic(node, emit, isDate);
+      }
+      if (node.operator === '||') {
+        return `${emitChild(node.left, PRECEDENCE.additive)} & ${emitChild(node.right, PRECEDENCE.additive + 1)}`;
+      }
+      if (node.operator === '%') {
+        return `Mod(${emit(node.left)}, ${emit(node.right)})`;
+      }
+      const precedence = getPrecedence(node);
+      return `${emitChild(node.left, precedence)} ${node.operator} ${emitChild(node.right, precedence + 1)}`;
+    }
+
+    case 'unary':
+      return `-${emitChild(node.operand, PRECEDENCE.unary)}`;
+
+    case 'literal':
+      if (node.valueType === 'string') {
+        return quoteString(node.value);
+      }
+      if (node.valueType === 'boolean') {
+        return node.value ? 'True' : 'False';
+      }
+      if (node.valueType === 'null') {
+        return 'Null';
+      }
+      return node.value;
+
+    case 'cast':
+      return emitCast(node, emit, fail);
+
+    case 'interval':
+      throw fail('Intervals can only be added to or subtracted from a date', node);
+
+    default:
+      return emitOther(node);
+  }
+}
+
+module.exports = {
+  PRECEDENCE,
+  CAST_FUNCTIONS,
+  CURRENT_TIME_FUNCTIONS,
+  getPrecedence,
+  quoteString,
+  isDateNode,
+  emitSigmaNode
+};
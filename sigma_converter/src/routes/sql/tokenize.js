@@ -0,0 +1,140 @@
+// multi-character operators are matched before single-character operators
+const OPERATORS = ['{{', '}}', '::', '<=', '>=', '!=', '<>', '||', '=', '<', '>', '+', '-', '*', '/', '%', '(', ')', '[', ']', ',', '.'];
+
+/**
+ * format a syntax error with the position of the error in the input
+ * @param {string} message - error message
+ * @param {string} input - input being tokenized or parsed
+ * @param {number} position - 0-based position of the error in the input
+ * @returns {Error} error with the 1-based position and the input in its message
+ */
+function syntaxError(message, input, position) {
+  return new Error(`${message} at position ${position + 1} in "${input}"`);
+}
+
+/**
+ * read a quoted string or quoted identifier starting at position
+ * a quote is escaped by doubling it ('it''s'), or with a backslash ('it\'s') in the dialects with backslash escapes
+ * @param {string} input - input being tokenized
+ * @param {number} position - position of the opening quote
+ * @param {boolean} backslashEscapes - a backslash escapes the next character (Snowflake, BigQuery, Databricks)
+ * @returns {Object} object with value (unquoted) and end (position after the closing quote)
+ * @throws {Error} if the string is not terminated
+ */
+function readQuoted(input, position, backslashEscapes) {
+  const quote = input[position];
+  let value = '';
+  let i = position + 1;
+
+  while (i < input.length) {
+    const char = input[i];
+    if (backslashEscapes && char === '\\' && i + 1 < input.length) {
+      value += input[i + 1];
+      i += 2;
+    } else if (char === quote && input[i + 1] === quote) {
+      value += quote;
+      i += 2;
+    } else if (char === quote) {
+      return { value, end: i + 1 };
+    } else {
+      value += char;
+      i++;
+    }
+  }
+
+  throw syntaxError(`Unterminated string ${quote}${value}`, input, position);
+}
+
+/**
+ * split a SQL expression (with MetricFlow Jinja references) into tokens
+ * token types: identifier, number, string, operator, eof
+ * strings keep their quote character so double quoted values can be told apart from single quoted strings
+ * (double quotes delimit identifiers or strings depending on the parser options). backtick quoted identifiers are
+ * identifiers with quoted: true. line comments (--) and block comments are skipped.
+ * example: {{ Dimension('order__status') }} = 'won'
+ *   -> {{, Dimension, (, 'order__status', ), }}, =, 'won', eof
+ * @param {string} input - SQL expression
+ * @param {Object} options - tokenizer options
+ * @param {boolean} options.backslashEscapes - a backslash escapes the next character of quoted values ('it\'s'),
+ *   which is not the case in standard SQL (Redshift and Postgres)
+ * @returns {Array<Object>} tokens {type, value, quote (strings only), quoted (identifiers only), start, end}
+ * @throws {Error} if the expression contains a character, Jinja block or comment that cannot be tokenized
+ */
+function tokenize(input, options = {}) {
+  const backslashEscapes = Boolean(options.backslashEscapes);
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (input.startsWith('--', i)) {
+      const lineEnd = input.indexOf('\n', i);
+      i = lineEnd === -1 ? input.length : lineEnd + 1;
+      continue;
+    }
+
+    if (input.startsWith('/*', i)) {
+      const commentEnd = input.indexOf('*/', i + 2);
+      if (commentEnd === -1) {
+        throw syntaxError('Unterminated comment', input, i);
+      }
+      i = commentEnd + 2;
+      continue;
+    }
+
+    if (input.startsWith('{%', i) || input.startsWith('{#', i)) {
+      throw syntaxError(`Jinja block '${input.slice(i, i + 2)}' is not supported`, input, i);
+    }
+
+    if (char === '\'' || char === '"') {
+      const { value, end } = readQuoted(input, i, backslashEscapes);
+      tokens.push({ type: 'string', value, quote: char, start: i, end });
+      i = end;
+      continue;
+    }
+
+    if (char === '`') {
+      const { value, end } = readQuoted(input, i, backslashEscapes);
+      tokens.push({ type: 'identifier', value, quoted: true, start: i, end });
+      i = end;
+      continue;
+    }
+
+    const numberMatch = input.slice(i).match(/^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/);
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: numberMatch[0], start: i, end: i + numberMatch[0].length });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    const identifierMatch = input.slice(i).match(/^[a-zA-Z_][a-zA-Z0-9_$]*/);
+    if (identifierMatch) {
+      tokens.push({ type: 'identifier', value: identifierMatch[0], start: i, end: i + identifierMatch[0].length });
+      i += identifierMatch[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => input.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, start: i, end: i + operator.length });
+      i += operator.length;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character '${char}'`, input, i);
+  }
+
+  tokens.push({ type: 'eof', value: '', start: input.length, end: input.length });
+  return tokens;
+}
+
+module.exports = {
+  syntaxError,
+  tokenize
+};
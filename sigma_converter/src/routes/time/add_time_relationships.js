@@ -7,20 +7,20 @@ const { findTimeGranularity } = require('./find_time_granularity');
 const { findTimeSpineColumn } = require('./find_time_spine_column');
 const { buildTimeSpineGranularityMap } = require('./build_time_spine_granularity_map');
 const { convertToUserFriendlyName } = require('../dimensions/utils/convertToUserFriendlyName');
+const { getDialect, getWarehouseTablePath } = require('../sql/dialects');
 
 /**
  * get warehouse table path [database, schema, table] from manifest's project_configuration.time_spines.
  * @param {Object} manifest - parsed semantic_manifest.json
  * @param {string} timeSpineName - alias of the time spine (matches node_relation.alias)
+ * @param {Object} dialect - SQL dialect profile of the warehouse (see routes/sql/dialects.js)
  * @returns {[string, string, string]|null} [database, schema, table] or null if not found
  */
-function getTimeSpineWhTableFromManifest(manifest, timeSpineName) {
+function getTimeSpineWhTableFromManifest(manifest, timeSpineName, dialect = getDialect()) {
   const timeSpines = manifest.project_configuration?.time_spines || [];
   const timeSpine = timeSpines.find(ts => ts.node_relation?.alias === timeSpineName);
   if (!timeSpine) return null;
-  const nr = timeSpine.node_relation;
-  const table = nr.relation_name.split('.').pop().toUpperCase();
-  return [nr.database, nr.schema_name, table];
+  return getWarehouseTablePath(timeSpine.node_relation, dialect);
 }
 
 /**
@@ -28,7 +28,7 @@ function getTimeSpineWhTableFromManifest(manifest, timeSpineName) {
  * @param {Object} targetData - The target Sigma data model structure
  * @param {Object} semanticModel - The semantic model object
  * @param {string} timeSpineFile - _models.yml file for time spine models
- * @param {Object} options - Conversion options (connectionId, manifestPath)
+ * @param {Object} options - Conversion options (connectionId, manifestPath, dialect)
  * @returns {Object} - Updated targetData with time_spine elements and relationships
  */
 function addTimeRelationships(targetData, semanticModel, timeSpineFile, options = {}) {
@@ -95,7 +95,7 @@ function addTimeRelationships(targetData, semanticModel, timeSpineFile, options
 
     // path from manifest time_spines node_relation (time_spine and node_relation assumed to exist)
     const manifest = JSON.parse(fs.readFileSync(options.manifestPath, 'utf8'));
-    const timeSpineWhTablePath = getTimeSpineWhTableFromManifest(manifest, timeSpineInfo.timeSpineName);
+    const timeSpineWhTablePath = getTimeSpineWhTableFromManifest(manifest, timeSpineInfo.timeSpineName, options.dialect);
     
     if (timeSpineModel.columns) {
       timeSpineModel.columns.forEach(col => {
@@ -134,7 +134,10 @@ function addTimeRelationships(targetData, semanticModel, timeSpineFile, options
       joins: []
     };
 
-    targetData.pages[0].elements.push(timeSpineElement);
+    // the time spine element may already be related to another element of the data model (e.g. in the metrics hub)
+    if (!targetData.pages[0].elements.some(el => el.id === timeSpineElementId)) {
+      targetData.pages[0].elements.push(timeSpineElement);
+    }
 
     // find the dimension for the agg_time_dimension
     // column IDs use the format: ${dimension.name}
@@ -0,0 +1,56 @@
+const { findTimeGranularity } = require('./find_time_granularity');
+const { findTimeSpineColumn } = require('./find_time_spine_column');
+const { buildTimeSpineGranularityMap } = require('./build_time_spine_granularity_map');
+
+/**
+ * finds the agg_time_dimension used by a measure
+ * the measure's own agg_time_dimension wins over semantic_models::defaults::agg_time_dimension
+ * @param {Object} measure - the measure object
+ * @param {Object} semanticModel - the semantic model object
+ * @returns {string|null} - name of the agg_time_dimension or null if none is defined
+ */
+function findAggTimeDimension(measure, semanticModel) {
+  return measure?.agg_time_dimension || semanticModel.defaults?.agg_time_dimension || null;
+}
+
+/**
+ * finds the time_spine column that addTimeRelationships relates to an agg_time_dimension
+ * and builds the Sigma formula referencing that column through the time_spine element
+ * example: ordered_at (day) -> [time_spine_day/ts_day__date_day]
+ * @param {Object} semanticModel - the semantic model object
+ * @param {string} aggTimeDimension - name of the agg_time_dimension
+ * @param {string} timeSpineFile - _models.yml file for time spine models
+ * @returns {Object|null} - { elementId, elementName, columnId, granularity, formula } or null if no time_spine matches
+ */
+function findTimeSpineReference(semanticModel, aggTimeDimension, timeSpineFile) {
+  if (!aggTimeDimension || !timeSpineFile) {
+    return null;
+  }
+
+  const granularity = findTimeGranularity(semanticModel, aggTimeDimension);
+  if (!granularity) {
+    return null;
+  }
+
+  const timeSpineInfo = findTimeSpineColumn(buildTimeSpineGranularityMap(timeSpineFile), granularity);
+  if (!timeSpineInfo) {
+    return null;
+  }
+
+  // element and column IDs follow the format used by addTimeRelationships
+  const elementId = `ts_${granularity}`;
+  const columnId = `${elementId}__${timeSpineInfo.columnName}`;
+
+  return {
+    elementId,
+    elementName: timeSpineInfo.timeSpineName,
+    columnId,
+    granularity,
+    formula: `[${timeSpineInfo.timeSpineName}/${columnId}]`
+  };
+}
+
+module.exports = {
+  findAggTimeDimension,
+  findTimeSpineReference
+};
@@ -2,11 +2,17 @@ const { extractAggTimeDimensions } = require('./extract_agg_time_dimensions');
 const { findTimeGranularity } = require('./find_time_granularity');
 const { findTimeSpineColumn } = require('./find_time_spine_column');
 const { addTimeRelationships } = require('./add_time_relationships');
+const { findAggTimeDimension, findTimeSpineReference } = require('./find_time_spine_reference');
+const { GRANULARITY_DATE_PARTS, parseWindow } = require('./parse_window');
 
 module.exports = {
   extractAggTimeDimensions,
   findTimeGranularity,
   findTimeSpineColumn,
-  addTimeRelationships
+  addTimeRelationships,
+  findAggTimeDimension,
+  findTimeSpineReference,
+  GRANULARITY_DATE_PARTS,
+  parseWindow
 };
 
@@ -0,0 +1,44 @@
+// maps dbt window and grain_to_date granularities (singular and plural) to Sigma date parts
+const GRANULARITY_DATE_PARTS = {
+  day: 'day', days: 'day',
+  week: 'week', weeks: 'week',
+  month: 'month', months: 'month',
+  quarter: 'quarter', quarters: 'quarter',
+  year: 'year', years: 'year'
+};
+
+/**
+ * parse a dbt window into a count and Sigma date part
+ * examples: "7 days" -> {count: 7, datePart: 'day'}, "1 month" -> {count: 1, datePart: 'month'}
+ * the semantic manifest stores windows as {count, granularity} objects, which are accepted as well
+ * @param {string|Object} window - window from metric type params
+ * @returns {Object|null} object with count and datePart or null if the window cannot be parsed
+ */
+function parseWindow(window) {
+  let count;
+  let granularity;
+
+  if (typeof window === 'object') {
+    count = window.count;
+    granularity = window.granularity;
+  } else {
+    const windowMatch = String(window).trim().match(/^(\d+)\s+([a-zA-Z]+)$/);
+    if (!windowMatch) {
+      return null;
+    }
+    count = windowMatch[1];
+    granularity = windowMatch[2];
+  }
+
+  const datePart = GRANULARITY_DATE_PARTS[String(granularity).toLowerCase()];
+  if (!datePart || !Number.isInteger(Number(count)) || Number(count) <= 0) {
+    return null;
+  }
+
+  return { count: Number(count), datePart };
+}
+
+module.exports = {
+  GRANULARITY_DATE_PARTS,
+  parseWindow
+};
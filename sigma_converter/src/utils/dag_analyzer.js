@@ -2,24 +2,7 @@ const yaml = require('js-yaml');
 const fs = require('fs');
 const path = require('path');
 
-/**
- * recursively find all .yml files in a directory (excluding _models.yml)
- * @param {string} dirPath - directory to search
- * @returns {string[]} array of absolute file paths
- */
-function findYamlFiles(dirPath) {
-  const results = [];
-  const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-  for (const entry of entries) {
-    const fullPath = path.join(dirPath, entry.name);
-    if (entry.isDirectory()) {
-      results.push(...findYamlFiles(fullPath));
-    } else if (entry.name.endsWith('.yml') && entry.name !== '_models.yml') {
-      results.push(fullPath);
-    }
-  }
-  return results;
-}
+const { findYamlFiles } = require('./find_yaml_files');
 
 /**
  * analyzes semantic model files to create a DAG
@@ -78,6 +61,11 @@ class SemanticModelAnalyzer {
       const content = fs.readFileSync(filePath, 'utf8');
       const data = yaml.load(content);
       
+      // files that only define metrics are read by the metric registry, not by the DAG
+      if ((!data.semantic_models || data.semantic_models.length === 0) && data.metrics) {
+        return [];
+      }
+
       if (!data.semantic_models || data.semantic_models.length === 0) {
         throw new Error(`No semantic models found in ${filePath}.`);
       }
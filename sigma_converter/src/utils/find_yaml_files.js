@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * recursively find all .yml files in a directory (excluding _models.yml)
+ * @param {string} dirPath - directory to search
+ * @returns {string[]} array of absolute file paths
+ */
+function findYamlFiles(dirPath) {
+  const results = [];
+  const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+  for (const entry of entries) {
+    const fullPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      results.push(...findYamlFiles(fullPath));
+    } else if (entry.name.endsWith('.yml') && entry.name !== '_models.yml') {
+      results.push(fullPath);
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  findYamlFiles
+};
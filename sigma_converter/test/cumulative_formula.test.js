@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.USER_FRIENDLY_COLUMN_NAMES = 'false';
+
+const { semanticModel, metrics } = require('./fixtures/cumulative_metrics.json');
+const { convertMetricToSigma } = require('../src/routes/metrics/metric_converter');
+
+// each fixture converts a cumulative metric of the fixture semantic model and checks its Sigma formula,
+// or the features reported when the metric cannot be converted
+metrics.forEach(({ metric, expected, reported }) => {
+  test(`cumulative: ${metric.name}`, () => {
+    const options = {
+      timeSpineFile: path.join(__dirname, 'fixtures/time_spine.yml'),
+      unsupportedFeatures: []
+    };
+    const sigmaMetric = convertMetricToSigma(metric, semanticModel, [metric], {}, options);
+    assert.strictEqual(sigmaMetric.formula, expected);
+    assert.deepStrictEqual(options.unsupportedFeatures.map(f => f.feature), reported || []);
+  });
+});
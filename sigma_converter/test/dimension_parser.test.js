@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fixtures = require('./fixtures/dimension_references.json');
+const { findDimensionReferences } = require('../src/routes/metrics/dimension_parser');
+
+// each fixture finds the Jinja references of a dbt filter (none when the filter cannot be parsed)
+fixtures.forEach(({ filter, expected }) => {
+  test(`references: ${filter}`, () => {
+    assert.deepStrictEqual(findDimensionReferences(filter), expected);
+  });
+});
@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fixtures = require('./fixtures/shared_filter_conditions.json');
+const { findSharedFilterConditions } = require('../src/routes/filter/element_filters');
+
+// each fixture finds the filter conditions shared by all metrics of a metric-only semantic model
+fixtures.forEach(({ description, metrics, expected }) => {
+  test(`shared conditions: ${description}`, () => {
+    assert.deepStrictEqual(findSharedFilterConditions(metrics), expected);
+  });
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// column names are kept as they are, whatever the .env file sets (dotenv does not override variables that are set)
+process.env.USER_FRIENDLY_COLUMN_NAMES = 'false';
+
+const fixtures = require('./fixtures/expressions.json');
+const { convertExpressionToSigma } = require('../src/routes/dimensions/formula/build_sigma_formula');
+const { getDialect } = require('../src/routes/sql');
+
+// each fixture converts a dimension expression in the SQL dialect (Snowflake by default) and expects a Sigma formula or an error
+fixtures.forEach(({ group, expr, dialect, expected, error }) => {
+  test(`${group}: ${expr}`, () => {
+    const convert = () => convertExpressionToSigma(expr, getDialect(dialect));
+
+    if (error) {
+      assert.throws(convert, { message: error });
+    } else {
+      assert.strictEqual(convert(), expected);
+    }
+  });
+});
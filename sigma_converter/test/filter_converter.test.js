@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fixtures = require('./fixtures/filters.json');
+const { convertFilterToSigma } = require('../src/routes/filter/filter_converter');
+const { getDialect } = require('../src/routes/sql');
+
+// each fixture converts a dbt filter of the orders semantic model and expects a Sigma formula or an error
+// fixtures with a semanticModel convert the filter in the context of that semantic model (e.g. for time dimensions)
+// and fixtures with a dialect parse the filter in that SQL dialect (Snowflake by default)
+fixtures.forEach(({ group, filter, semanticModel, dialect, expected, error }) => {
+  test(`${group}: ${filter}`, () => {
+    const metricContext = semanticModel || dialect
+      ? { semanticModel, allMetrics: [], options: { dialect: getDialect(dialect) } }
+      : null;
+    const convert = () => convertFilterToSigma(filter, 'orders', metricContext);
+
+    if (error) {
+      assert.throws(convert, { message: error });
+    } else {
+      assert.strictEqual(convert(), expected);
+    }
+  });
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.USER_FRIENDLY_COLUMN_NAMES = 'false';
+
+const fixtures = require('./fixtures/measures.json');
+const { buildMeasureFormula, buildMeasureFormulaWithSigmaFilter } = require('../src/routes/metrics/formula/build_formula_object');
+
+// each fixture builds the Sigma formula of a measure, restricted to the Sigma filter when one is given
+fixtures.forEach(({ measure, filter, expected, error }) => {
+  test(`measure: ${measure.name}${filter ? ` where ${filter}` : ''}`, () => {
+    const build = () => filter
+      ? buildMeasureFormulaWithSigmaFilter(measure, filter)
+      : buildMeasureFormula(measure);
+    if (error) {
+      assert.throws(build, { message: error });
+    } else {
+      assert.strictEqual(build().formula, expected);
+    }
+  });
+});
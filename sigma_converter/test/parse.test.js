@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fixtures = require('./fixtures/parse.json');
+const { parseExpression } = require('../src/routes/sql');
+
+// positions of the nodes (start) are left out of the expected ASTs
+function removePositions(node) {
+  if (Array.isArray(node)) {
+    return node.map(removePositions);
+  }
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(Object.entries(node).filter(([key]) => key !== 'start').map(([key, value]) => [key, removePositions(value)]));
+  }
+  return node;
+}
+
+// each fixture parses a SQL expression with the parser options and expects an AST or an error
+fixtures.forEach(({ group, input, options, expected, error }) => {
+  test(`${group}: ${input}`, () => {
+    const parse = () => parseExpression(input, options);
+
+    if (error) {
+      assert.throws(parse, { message: error });
+    } else {
+      assert.deepStrictEqual(removePositions(parse()), expected);
+    }
+  });
+});